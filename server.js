@@ -2,37 +2,68 @@ const express = require('express');
 const bodyParser = require('body-parser');
 const axios = require('axios');
 const cron = require('node-cron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 require('dotenv').config();
 
 const app = express();
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Store configuration in memory (in production, use a database)
+// Behind a reverse proxy, TRUST_PROXY makes req.ip (and req.secure) describe
+// the client rather than the proxy: a hop count, "true", or proxy addresses
+// as Express accepts them
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Express 4 leaves a rejected promise from an async route handler unhandled,
+// which ends the process; handlers registered on app pass it on to the error
+// handler at the end of this file instead
+['get', 'post'].forEach(method => {
+  const register = app[method].bind(app);
+  app[method] = (path, ...handlers) => register(path, ...handlers.map(handler => (req, res, next) => {
+    return Promise.resolve(handler(req, res, next)).catch(next);
+  }));
+});
+
+// Configuration lives in memory and is written through to the storage adapter
+// (see PERSISTENCE below) so it survives restarts. Settings for one board and
+// pipeline live on a sync profile instead, see SYNC PROFILES.
 let config = {
   hubspotToken: process.env.HUBSPOT_TOKEN || '',
   mondayToken: process.env.MONDAY_TOKEN || '',
-  mondayBoardId: process.env.MONDAY_BOARD_ID || '',
   syncEnabled: false,
-  lastSync: null,
-  syncLog: [],
-  // Field-level sync rules: which platform is source of truth for each field
-  fieldRules: {
-    title: 'hubspot',        // 'hubspot', 'monday', or 'both'
-    description: 'hubspot',  // HubSpot owns ticket content
-    status: 'monday',        // Monday owns status updates
-    priority: 'monday',      // Monday owns priority
-    assignee: 'both'         // Both can update assignee
-  },
-  // Field mapping: which HubSpot field maps to which Monday column
-  fieldMapping: {
-    description: 'text',     // HubSpot 'content' → Monday column ID
-    status: 'status',        // HubSpot 'hs_pipeline_stage' → Monday column ID
-    priority: 'priority',    // HubSpot 'hs_ticket_priority' → Monday column ID
-    assignee: 'person'       // HubSpot 'hubspot_owner_id' → Monday column ID
-  },
-  // Cached Monday columns (fetched from API)
-  mondayColumns: [],
+  // Sync profiles by name, see createProfile
+  profiles: {},
+  // Default profile: where dashboard sessions start, and what API calls
+  // without ?profile= and anything not run in a particular profile use
+  activeProfile: 'default',
+  // Pagination: records per API call, and a safety cap on records fetched per run
+  paging: {
+    hubspotPageSize: Math.min(Number(process.env.HUBSPOT_PAGE_SIZE) || 100, 100),
+    mondayPageSize: Math.min(Number(process.env.MONDAY_PAGE_SIZE) || 100, 500),
+    maxRecords: Number(process.env.SYNC_MAX_RECORDS) || 10000
+  },
+  // Notes ↔ updates mirroring, per Monday board ID: { enabled, since }.
+  // since is when it was switched on; older messages are left alone.
+  conversationSync: {},
+  // Files seen per ticket: [{ ticketId, name, hash, hubspotFileId,
+  // mondayAssetId, hubspotNoteId, skipped }], see ATTACHMENTS
+  fileLinks: [],
+  // Manual HubSpot owner ID → Monday user ID pairs; everyone else is matched by email
+  userOverrides: {},
+  // Dashboard users: [{ username, role: 'viewer' | 'admin', salt, passwordHash }],
+  // see AUTHENTICATION
+  users: [],
   // Cached HubSpot properties
   hubspotProperties: []
 };
@@ -49,14 +80,841 @@ function logSync(message, type = 'info') {
   };
   config.syncLog.unshift(logEntry);
   if (config.syncLog.length > 50) config.syncLog.pop();
-  console.log(`[${type.toUpperCase()}] ${message}`);
+  const profileTag = Object.keys(config.profiles).length > 1 ? `[${currentProfile().name}] ` : '';
+  console.log(`[${type.toUpperCase()}] ${profileTag}${message}`);
+  persistState();
+}
+
+// ========== SYNC PROFILES ==========
+
+// A profile pairs a HubSpot pipeline with a Monday board (each optionally
+// narrowed down further) and has its own field mapping, rules, schedule, log
+// and sync bookkeeping. The code reads these as config.fieldMapping and so
+// on: the profile keys on config resolve to the profile the current job or
+// request runs in (see runInProfile), or else to the dashboard's active one.
+const DEFAULT_PROFILE = 'default';
+
+function createProfile(name, { mondayBoardId = '' } = {}) {
+  return {
+    name,
+    // Pipeline ID; empty takes tickets from every pipeline
+    hubspotPipeline: '',
+    mondayBoardId,
+    // Group ID; empty takes items from every group. New items go into it.
+    mondayGroup: '',
+    // Cron expressions for the scheduled delta sync and full reconcile
+    schedule: {
+      incremental: '*/5 * * * *',
+      full: process.env.FULL_SYNC_CRON || '0 * * * *'
+    },
+    lastSync: null,
+    syncLog: [],
+    // Field-level sync rules: which platform is source of truth for each field
+    fieldRules: {
+      title: 'hubspot',        // 'hubspot', 'monday', or 'both'
+      description: 'hubspot',  // HubSpot owns ticket content
+      status: 'monday',        // Monday owns status updates
+      priority: 'monday',      // Monday owns priority
+      assignee: 'both'         // Both can update assignee
+    },
+    // Field mapping: which HubSpot field maps to which Monday column
+    fieldMapping: {
+      description: 'text',     // HubSpot 'content' → Monday column ID
+      status: 'status',        // HubSpot 'hs_pipeline_stage' → Monday column ID
+      priority: 'priority',    // HubSpot 'hs_ticket_priority' → Monday column ID
+      assignee: 'person'       // HubSpot 'hubspot_owner_id' → Monday column ID
+    },
+    // How a 'both' field is resolved when both sides changed since the last
+    // sync: 'newest' (compare modification times), 'hubspot' or 'monday'
+    conflictPolicy: 'newest',
+    // Resolved conflicts, newest first, for review on the dashboard
+    conflicts: [],
+    // Records that failed to sync and are awaiting retry (see DEAD LETTERS)
+    deadLetters: [],
+    // What happens to a record's counterpart once the record is deleted (or
+    // archived on Monday), per direction: 'ignore', 'archive' or 'delete'.
+    // Archiving a HubSpot ticket moves it to closedStage. See DELETIONS.
+    deletion: {
+      hubspotToMonday: 'ignore',
+      mondayToHubspot: 'ignore',
+      graceMinutes: 60,
+      closedStage: '4'
+    },
+    // File copying between ticket notes and a Monday file column; off while
+    // mondayColumn is empty
+    attachmentSync: {
+      mondayColumn: '',
+      maxSizeMb: 10
+    },
+    // Which records are synced at all, see RECORD FILTERS. A record must match
+    // every rule on its side; a side without rules matches everything.
+    recordFilters: {
+      hubspot: [],          // [{ property: 'hs_ticket_priority', values: ['HIGH'] }]
+      monday: [],           // [{ column: 'status', values: ['Escalated'] }]
+      onMismatch: 'leave'   // 'leave', 'unlink' or 'archive'
+    },
+    // Linked pairs where one side stopped matching its filter
+    filteredOut: [],
+    // Records that disappeared, pending or done with propagation
+    tombstones: [],
+    // Every handled deletion, newest first
+    deletionLog: [],
+    // Extra HubSpot property ↔ Monday column pairs, each with its own rule:
+    // [{ hubspotProperty: 'hs_resolution', mondayColumn: 'text4', rule: 'hubspot' }]
+    customMappings: [],
+    // Value translation: HubSpot value → Monday label, per field
+    valueMaps: {
+      status: {},    // per pipeline, e.g. { '0': { '1': 'New' } } for stage '1' of pipeline '0'
+      priority: {}   // e.g. 'HIGH' → 'Urgent'
+    },
+    // Per-direction high-water marks for delta syncs (ISO timestamps)
+    syncCursors: {
+      hubspotToMonday: null,
+      mondayToHubspot: null
+    }
+  };
+}
+
+const PROFILE_KEYS = Object.keys(createProfile(DEFAULT_PROFILE)).filter(key => key !== 'name');
+
+const profileScope = new AsyncLocalStorage();
+
+function currentProfile() {
+  return profileScope.getStore() || config.profiles[config.activeProfile];
+}
+
+// Runs fn (and everything it awaits) with config's profile keys resolving to
+// the named profile; returns what fn returns
+function runInProfile(name, fn) {
+  return profileScope.run(config.profiles[name], fn);
+}
+
+// Whether a name from a form, URL or session names a profile; inherited keys
+// such as "constructor" don't
+function isProfileName(name) {
+  return typeof name === 'string' && Object.hasOwn(config.profiles, name);
+}
+
+// Calls fn once per profile, in that profile, and collects the results
+function mapProfiles(fn) {
+  return Object.keys(config.profiles).map(name => runInProfile(name, () => fn(config.profiles[name])));
+}
+
+PROFILE_KEYS.forEach(key => {
+  Object.defineProperty(config, key, {
+    enumerable: true,
+    get: () => currentProfile()[key],
+    set: value => { currentProfile()[key] = value; }
+  });
+});
+
+// Discovered Monday columns are cached per board, so profiles sharing a
+// board share them. Like the other caches they aren't saved.
+const mondayColumnsByBoard = new Map();
+
+Object.defineProperty(config, 'mondayColumns', {
+  enumerable: true,
+  get: () => mondayColumnsByBoard.get(String(config.mondayBoardId)) || [],
+  set: columns => { mondayColumnsByBoard.set(String(config.mondayBoardId), columns); }
+});
+
+config.profiles[DEFAULT_PROFILE] = createProfile(DEFAULT_PROFILE, { mondayBoardId: process.env.MONDAY_BOARD_ID || '' });
+
+// ========== PERSISTENCE ==========
+
+// A storage adapter exposes two async methods:
+//   load()       → the last saved state object, or null if nothing was saved
+//   save(state)  → durably replace the saved state
+// The JSON file adapter is the default. To back the service with a real
+// database, add a factory to storageAdapters and select it via STORAGE_ADAPTER.
+function createJsonFileAdapter(filePath) {
+  return {
+    name: 'json-file',
+    async load() {
+      try {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async save(state) {
+      // Write to a temp file first so a crash mid-write never truncates the state
+      const tmpFile = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmpFile, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tmpFile, filePath);
+    }
+  };
+}
+
+const storageAdapters = {
+  'json-file': () => createJsonFileAdapter(process.env.STORAGE_PATH || path.join(__dirname, 'data', 'state.json'))
+};
+
+const storageAdapterName = process.env.STORAGE_ADAPTER || 'json-file';
+if (!storageAdapters[storageAdapterName]) {
+  throw new Error(`Unknown STORAGE_ADAPTER "${storageAdapterName}" (available: ${Object.keys(storageAdapters).join(', ')})`);
+}
+const storage = storageAdapters[storageAdapterName]();
+
+// Config keys that survive restarts. Discovered columns/properties are caches
+// and get re-fetched. Profiles are saved with all their PROFILE_KEYS. The API
+// tokens are saved encrypted, separately, see SECRETS.
+const PERSISTED_CONFIG_KEYS = [
+  'syncEnabled',
+  'profiles',
+  'activeProfile',
+  'conversationSync',
+  'fileLinks',
+  'userOverrides',
+  'users'
+];
+
+function snapshotState() {
+  const savedConfig = {};
+  PERSISTED_CONFIG_KEYS.forEach(key => {
+    savedConfig[key] = config[key];
+  });
+  return {
+    config: savedConfig,
+    secrets: snapshotSecrets(),
+    links: Array.from(ticketToItem, ([ticketId, itemId]) => ({
+      ticketId,
+      itemId,
+      profile: linkProfiles.get(ticketId),
+      synced: syncedValues.get(ticketId) || {}
+    })),
+    messageLinks: Array.from(noteToUpdate, ([noteId, updateId]) => ({ noteId, updateId }))
+  };
+}
+
+// Saved values replace the defaults; saved objects are merged into them so
+// settings added since keep their defaults
+function restoreValues(target, saved, keys) {
+  keys.forEach(key => {
+    const value = saved?.[key];
+    // Environment variables only bootstrap values that were never saved
+    if (value === undefined || value === '') return;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = { ...target[key], ...value };
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+async function loadState() {
+  const state = await storage.load();
+  if (!state) return;
+
+  restoreValues(config, state.config, PERSISTED_CONFIG_KEYS.filter(key => key !== 'profiles'));
+  // Older saves kept the tokens in the clear; the next save encrypts them
+  restoreValues(config, state.config, Object.keys(SECRETS));
+  restoreSecrets(state.secrets);
+  
+  // Saves from before profiles kept the profile settings at the top level
+  const savedProfiles = state.config?.profiles || { [DEFAULT_PROFILE]: state.config || {} };
+  const defaults = config.profiles;
+  config.profiles = {};
+  Object.entries(savedProfiles).forEach(([name, saved]) => {
+    const profile = defaults[name] || createProfile(name);
+    restoreValues(profile, saved, PROFILE_KEYS);
+    // Status maps saved before they were kept per pipeline are filed under
+    // the profile's pipeline; seeding again sorts other pipelines' stages out
+    if (Object.values(profile.valueMaps.status).some(label => typeof label === 'string')) {
+      profile.valueMaps.status = { [profile.hubspotPipeline || DEFAULT_PIPELINE_ID]: profile.valueMaps.status };
+    }
+    config.profiles[name] = profile;
+  });
+  if (!config.profiles[config.activeProfile]) config.activeProfile = Object.keys(config.profiles)[0];
+
+  (state.links || []).forEach(link => {
+    ticketToItem.set(String(link.ticketId), String(link.itemId));
+    itemToTicket.set(String(link.itemId), String(link.ticketId));
+    linkProfiles.set(String(link.ticketId), link.profile || config.activeProfile);
+    if (link.synced) syncedValues.set(String(link.ticketId), link.synced);
+  });
+  
+  (state.messageLinks || []).forEach(link => {
+    noteToUpdate.set(String(link.noteId), String(link.updateId));
+    updateToNote.set(String(link.updateId), String(link.noteId));
+  });
+}
+
+// Saves are serialized; calls made while a save is in flight are coalesced
+// into one follow-up save of the latest state
+let pendingSave = null;
+let saveRequested = false;
+
+function persistState() {
+  if (pendingSave) {
+    saveRequested = true;
+    return pendingSave;
+  }
+  pendingSave = storage.save(snapshotState())
+    .catch(error => {
+      // Not logSync: that would schedule another save
+      console.error(`[ERROR] Failed to persist state: ${error.message}`);
+    })
+    .then(() => {
+      pendingSave = null;
+      if (saveRequested) {
+        saveRequested = false;
+        return persistState();
+      }
+    });
+  return pendingSave;
+}
+
+// ========== ID LINK TABLE ==========
+
+// Durable hubspotTicketId ↔ mondayItemId pairs. Both sync directions read and
+// write this table; subject/name matching is only used to link records that
+// have never been paired before. Persisted alongside config.
+const ticketToItem = new Map();
+const itemToTicket = new Map();
+
+// Last value both sides agreed on, per linked ticket and field key. Lets a
+// 'both' field tell which side changed since the last sync.
+const syncedValues = new Map();
+
+// Name of the sync profile each linked ticket was paired in. Other profiles
+// leave the pair alone, see ownsLink.
+const linkProfiles = new Map();
+
+function getLinkedItemId(ticketId) {
+  return ticketToItem.get(String(ticketId));
+}
+
+function getLinkedTicketId(itemId) {
+  return itemToTicket.get(String(itemId));
+}
+
+function linkRecords(ticketId, itemId) {
+  ticketId = String(ticketId);
+  itemId = String(itemId);
+
+  // A record can only ever be paired with one counterpart
+  const previousItemId = ticketToItem.get(ticketId);
+  if (previousItemId) itemToTicket.delete(previousItemId);
+  const previousTicketId = itemToTicket.get(itemId);
+  if (previousTicketId) {
+    ticketToItem.delete(previousTicketId);
+    linkProfiles.delete(previousTicketId);
+  }
+
+  ticketToItem.set(ticketId, itemId);
+  itemToTicket.set(itemId, ticketId);
+  linkProfiles.set(ticketId, currentProfile().name);
+  if (previousItemId !== itemId) syncedValues.delete(ticketId);
+  persistState();
+}
+
+function unlinkRecords(ticketId, itemId) {
+  ticketId = String(ticketId);
+  itemId = String(itemId);
+  if (ticketToItem.get(ticketId) !== itemId) return;
+  
+  ticketToItem.delete(ticketId);
+  itemToTicket.delete(itemId);
+  linkProfiles.delete(ticketId);
+  syncedValues.delete(ticketId);
+  persistState();
+}
+
+// True unless the ticket is linked in a profile other than the current one
+function ownsLink(ticketId) {
+  const owner = linkProfiles.get(String(ticketId));
+  return !owner || owner === currentProfile().name;
+}
+
+// HubSpot note ID ↔ Monday update ID, for every message mirrored either way
+const noteToUpdate = new Map();
+const updateToNote = new Map();
+
+function linkMessages(noteId, updateId) {
+  noteToUpdate.set(String(noteId), String(updateId));
+  updateToNote.set(String(updateId), String(noteId));
+  persistState();
+}
+
+// kind is 'note' or 'update'; true for originals and copies alike
+function isMirroredMessage(kind, messageId) {
+  return (kind === 'note' ? noteToUpdate : updateToNote).has(String(messageId));
+}
+
+function getSyncedValue(ticketId, key) {
+  return syncedValues.get(String(ticketId))?.[key];
+}
+
+function recordSyncedValues(ticketId, data) {
+  const values = { ...syncedValues.get(String(ticketId)) };
+  let changed = false;
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || values[key] === (value ?? '')) return;
+    values[key] = value ?? '';
+    changed = true;
+  });
+  if (!changed) return;
+  syncedValues.set(String(ticketId), values);
+  persistState();
+}
+
+// ========== HTTP CLIENT ==========
+
+// All HubSpot and Monday calls go through createApiClient, which retries rate
+// limits, 5xx responses and network errors with exponential backoff and
+// jitter, waits out Retry-After, and keeps per-API usage for the dashboard.
+const HTTP_MAX_RETRIES = Number(process.env.HTTP_MAX_RETRIES) || 4;
+const HTTP_BACKOFF_BASE_MS = 500;
+const HTTP_BACKOFF_MAX_MS = 30000;
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+const apiUsage = {
+  hubspot: { requests: 0, retries: 0, failures: 0, throttledMs: 0, rateLimit: null, daily: null },
+  monday: { requests: 0, retries: 0, failures: 0, throttledMs: 0, complexity: null }
+};
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with "equal jitter": never less than half the ceiling,
+// so concurrent retries spread out but still back off
+function backoffDelay(attempt) {
+  const ceiling = Math.min(HTTP_BACKOFF_MAX_MS, HTTP_BACKOFF_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// A 429 was never processed, so it is always safe to repeat. Anything else
+// may have been applied, so only idempotent requests are retried.
+function isRetryable(error, idempotent) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  if (!idempotent) return false;
+  return status ? RETRYABLE_STATUS_CODES.includes(status) : RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// options:
+//   name                       key in apiUsage
+//   label                      API name for log messages
+//   waitForBudget()            resolves once the API's quota allows another call
+//   recordQuota(response)      reads quota information off a response
+//   rateLimitDelay(response)   for APIs that report rate limits in a 200
+//                              response: ms to wait before retrying, or null
+// Request configs are axios configs plus `idempotent` (defaults to true for
+// everything but POST).
+function createApiClient({ name, label, waitForBudget, recordQuota, rateLimitDelay }) {
+  const usage = apiUsage[name];
+  
+  async function request({ idempotent, ...requestConfig }) {
+    const retrySafe = idempotent ?? requestConfig.method !== 'post';
+    
+    for (let attempt = 0; ; attempt++) {
+      if (waitForBudget) await waitForBudget();
+      usage.requests++;
+      
+      let wait;
+      try {
+        const response = await axios.request(requestConfig);
+        if (recordQuota) recordQuota(response);
+        wait = rateLimitDelay ? rateLimitDelay(response, attempt) : null;
+        // Out of retries: hand the rate-limited response to the caller
+        if (wait === null || attempt >= HTTP_MAX_RETRIES) return response;
+      } catch (error) {
+        if (error.response && recordQuota) recordQuota(error.response);
+        if (!isRetryable(error, retrySafe) || attempt >= HTTP_MAX_RETRIES) {
+          usage.failures++;
+          throw error;
+        }
+        wait = parseRetryAfter(error.response?.headers?.['retry-after']) ?? backoffDelay(attempt);
+      }
+      
+      usage.retries++;
+      logSync(`${label} request rate limited or failed; retry ${attempt + 1} of ${HTTP_MAX_RETRIES} in ${Math.ceil(wait / 1000)}s`, 'warning');
+      await sleep(wait);
+    }
+  }
+  
+  return {
+    request,
+    get: (url, requestConfig = {}) => request({ ...requestConfig, method: 'get', url }),
+    post: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'post', url, data }),
+    patch: (url, data, requestConfig = {}) => request({ ...requestConfig, method: 'patch', url, data }),
+    delete: (url, requestConfig = {}) => request({ ...requestConfig, method: 'delete', url })
+  };
+}
+
+// HubSpot allows a fixed number of calls per rolling 10 seconds (100 for
+// private apps) and reports the actual limit in X-HubSpot-RateLimit-* headers.
+// Calls are spaced so that window is never exceeded.
+const hubspotWindow = {
+  max: Number(process.env.HUBSPOT_RATE_LIMIT) || 100,
+  intervalMs: 10000,
+  sentAt: [],
+  pausedUntil: 0
+};
+
+async function waitForHubSpotBudget() {
+  for (;;) {
+    const now = Date.now();
+    hubspotWindow.sentAt = hubspotWindow.sentAt.filter(at => now - at < hubspotWindow.intervalMs);
+    
+    let wait = hubspotWindow.pausedUntil - now;
+    if (wait <= 0 && hubspotWindow.sentAt.length >= hubspotWindow.max) {
+      wait = hubspotWindow.intervalMs - (now - hubspotWindow.sentAt[0]);
+    }
+    if (wait <= 0) {
+      hubspotWindow.sentAt.push(now);
+      return;
+    }
+    apiUsage.hubspot.throttledMs += wait;
+    await sleep(wait);
+  }
+}
+
+function recordHubSpotQuota(response) {
+  const headers = response.headers || {};
+  const usage = apiUsage.hubspot;
+  
+  if (headers['x-hubspot-ratelimit-max'] !== undefined) {
+    usage.rateLimit = {
+      max: Number(headers['x-hubspot-ratelimit-max']),
+      remaining: Number(headers['x-hubspot-ratelimit-remaining']),
+      intervalMs: Number(headers['x-hubspot-ratelimit-interval-milliseconds']) || 10000
+    };
+    hubspotWindow.max = usage.rateLimit.max || hubspotWindow.max;
+    hubspotWindow.intervalMs = usage.rateLimit.intervalMs;
+    // The limit is shared with every other integration using this app
+    if (usage.rateLimit.remaining <= 0) hubspotWindow.pausedUntil = Date.now() + hubspotWindow.intervalMs;
+  }
+  if (headers['x-hubspot-ratelimit-daily'] !== undefined) {
+    usage.daily = {
+      max: Number(headers['x-hubspot-ratelimit-daily']),
+      remaining: Number(headers['x-hubspot-ratelimit-daily-remaining'])
+    };
+  }
+}
+
+const hubspotHttp = createApiClient({
+  name: 'hubspot',
+  label: 'HubSpot',
+  waitForBudget: waitForHubSpotBudget,
+  recordQuota: recordHubSpotQuota
+});
+
+// Monday charges each query against a per-minute complexity budget. Every
+// query asks for its cost and the remaining budget (see withComplexity); when
+// the budget can't cover another query like the last one, wait for the reset.
+const MONDAY_COMPLEXITY_RESERVE = 1000;
+
+async function waitForMondayBudget() {
+  const complexity = apiUsage.monday.complexity;
+  if (!complexity) return;
+  
+  const wait = complexity.resetAt - Date.now();
+  if (wait <= 0 || complexity.after >= Math.max(complexity.lastCost, MONDAY_COMPLEXITY_RESERVE)) return;
+  apiUsage.monday.throttledMs += wait;
+  await sleep(wait);
+}
+
+function recordMondayQuota(response) {
+  const complexity = response.data?.data?.complexity;
+  if (!complexity) return;
+  apiUsage.monday.complexity = {
+    before: complexity.before,
+    after: complexity.after,
+    lastCost: complexity.before - complexity.after,
+    resetAt: Date.now() + (complexity.reset_in_x_seconds || 0) * 1000
+  };
+}
+
+// Monday reports an exhausted budget or rate limit as a GraphQL error,
+// usually with the number of seconds until it resets
+function mondayRateLimitDelay(response, attempt) {
+  const body = response.data || {};
+  const errors = body.errors || (body.error_code ? [{ message: body.error_message, extensions: { code: body.error_code } }] : []);
+  const limitError = errors.find(error =>
+    /complexity|rate.?limit|too many requests/i.test(`${error.extensions?.code || ''} ${error.message || ''}`));
+  if (!limitError) return null;
+  
+  const seconds = limitError.extensions?.retry_in_seconds ?? Number((limitError.message || '').match(/(\d+) seconds?/)?.[1]);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : backoffDelay(attempt);
+}
+
+const mondayHttp = createApiClient({
+  name: 'monday',
+  label: 'Monday.com',
+  waitForBudget: waitForMondayBudget,
+  recordQuota: recordMondayQuota,
+  rateLimitDelay: mondayRateLimitDelay
+});
+
+// ========== SECRETS ==========
+
+// API tokens are kept decrypted in memory only. The saved state holds them
+// encrypted with AES-256-GCM under a key derived from SECRETS_KEY; without it
+// tokens are not saved at all, and the HUBSPOT_TOKEN / MONDAY_TOKEN
+// environment variables (which also bootstrap a fresh install) are used.
+const SECRETS = {
+  hubspotToken: { label: 'HubSpot token' },
+  mondayToken: { label: 'Monday.com token' }
+};
+const secretsKey = process.env.SECRETS_KEY
+  ? crypto.scryptSync(process.env.SECRETS_KEY, 'hubspot-monday-sync/secrets', 32)
+  : null;
+
+// Names come from forms and URLs, so inherited keys such as "constructor" don't count
+function isSecretName(name) {
+  return typeof name === 'string' && Object.hasOwn(SECRETS, name);
+}
+
+// When each token was last set from the dashboard: name → { rotatedAt, rotatedBy }
+const secretRotations = {};
+// Saved secrets this process can't decrypt (no key), passed through untouched
+let lockedSecrets = {};
+
+function encryptSecret(name, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', secretsKey, iv);
+  // Binding the name stops one saved token from being swapped for another
+  cipher.setAAD(Buffer.from(name));
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decryptSecret(name, { iv, tag, data }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', secretsKey, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(name));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// The secrets part of the saved state
+function snapshotSecrets() {
+  if (!secretsKey) return lockedSecrets;
+  const secrets = {};
+  Object.keys(SECRETS).forEach(name => {
+    if (config[name]) secrets[name] = { ...encryptSecret(name, config[name]), ...secretRotations[name] };
+  });
+  return secrets;
+}
+
+function restoreSecrets(saved = {}) {
+  if (!secretsKey) {
+    lockedSecrets = saved;
+    return;
+  }
+  Object.entries(saved).forEach(([name, entry]) => {
+    if (!isSecretName(name)) return;
+    try {
+      config[name] = decryptSecret(name, entry);
+    } catch (error) {
+      throw new Error(`the saved ${SECRETS[name].label} can't be decrypted - is SECRETS_KEY the one it was saved with?`);
+    }
+    if (entry.rotatedAt) secretRotations[name] = { rotatedAt: entry.rotatedAt, rotatedBy: entry.rotatedBy };
+  });
+}
+
+// For display: never more than the last 4 characters
+function maskSecret(value) {
+  return value ? `••••${value.slice(-4)}` : 'not set';
+}
+
+// Swaps in a new token once the checks in validateConfiguration pass for it;
+// the old one stays in use otherwise. Returns { rotated, report }.
+async function rotateSecret(name, token, username) {
+  const { label } = SECRETS[name];
+  const report = await validateConfiguration({ [name]: token });
+  const problems = findBlockingChecks(report, [name]);
+  if (problems.length > 0) {
+    logSync(`${label} not changed: ${problems.map(check => check.message).join('; ')}`, 'error');
+    return { rotated: false, report };
+  }
+  
+  config[name] = token;
+  secretRotations[name] = { rotatedAt: new Date().toISOString(), rotatedBy: username };
+  logSync(`${label} rotated by ${username} (now ${maskSecret(token)})`, 'success');
+  await persistState();
+  return { rotated: true, report };
+}
+
+// ========== CONFIGURATION VALIDATION ==========
+
+// Checks settings against the live APIs before anything relies on them: both
+// tokens (and the HubSpot token's scopes), the profile's board, and that every
+// mapped column exists and can hold its field. Values passed in `candidate`
+// are checked instead of the saved ones, so a form can be checked before it
+// is saved. The report looks like
+//   { valid, checkedAt, checks: [{ setting, status, message }] }
+// with status 'ok', 'warning' or 'error', and setting one of the candidate
+// keys. A save is only refused over errors in the settings it changes.
+
+// Either scope set lets a token read and write tickets
+const HUBSPOT_TICKET_SCOPES = [
+  ['tickets'],
+  ['crm.objects.tickets.read', 'crm.objects.tickets.write']
+];
+
+function describeApiError(error) {
+  const message = error.response?.data?.message;
+  return error.response ? `HTTP ${error.response.status}${message ? `: ${message}` : ''}` : error.message;
+}
+
+// Scopes of a private app token, or else of an OAuth access token
+async function fetchHubSpotTokenScopes(token) {
+  try {
+    const response = await hubspotHttp.post('https://api.hubapi.com/oauth/v2/private-apps/get/access-token-info', { tokenKey: token });
+    return response.data.scopes || [];
+  } catch (privateAppError) {
+    try {
+      const response = await hubspotHttp.get(`https://api.hubapi.com/oauth/v1/access-tokens/${encodeURIComponent(token)}`);
+      return response.data.scopes || [];
+    } catch (error) {
+      throw privateAppError;
+    }
+  }
+}
+
+// mondayQuery with a token that may not be saved yet, and without logging
+async function queryMondayAs(token, query, variables = {}) {
+  const response = await mondayHttp.post('https://api.monday.com/v2', { query, variables }, {
+    headers: {
+      'Authorization': token,
+      'Content-Type': 'application/json'
+    }
+  });
+  if (response.data.errors) throw new Error(response.data.errors[0].message);
+  return response.data.data || {};
+}
+
+async function checkHubSpotSettings({ hubspotToken, fieldMapping, attachmentSync }, check) {
+  if (!hubspotToken) return check('hubspotToken', 'error', 'No HubSpot token is set');
+  try {
+    await hubspotHttp.get('https://api.hubapi.com/crm/v3/objects/tickets', {
+      headers: { 'Authorization': `Bearer ${hubspotToken}` },
+      params: { limit: 1 }
+    });
+    check('hubspotToken', 'ok', 'HubSpot accepted the token');
+  } catch (error) {
+    return check('hubspotToken', 'error', `HubSpot rejected the token (${describeApiError(error)})`);
+  }
+  
+  let scopes;
+  try {
+    scopes = await fetchHubSpotTokenScopes(hubspotToken);
+  } catch (error) {
+    return check('hubspotToken', 'warning', `Could not read the HubSpot token's scopes (${describeApiError(error)})`);
+  }
+  if (HUBSPOT_TICKET_SCOPES.some(set => set.every(scope => scopes.includes(scope)))) {
+    check('hubspotToken', 'ok', 'The HubSpot token can read and write tickets');
+  } else {
+    check('hubspotToken', 'error', 'The HubSpot token cannot read and write tickets: grant it the "tickets" scope');
+  }
+  // Scopes only some features need
+  if (fieldMapping.assignee && !scopes.includes('crm.objects.owners.read')) {
+    check('hubspotToken', 'warning', 'The HubSpot token lacks the "crm.objects.owners.read" scope: assignees cannot be matched to Monday users');
+  }
+  if (attachmentSync.mondayColumn && !scopes.includes('files')) {
+    check('hubspotToken', 'warning', 'The HubSpot token lacks the "files" scope: attachments cannot be copied');
+  }
+}
+
+async function checkMondaySettings({ mondayToken, mondayBoardId, fieldMapping, customMappings, attachmentSync }, check) {
+  if (!mondayToken) return check('mondayToken', 'error', 'No Monday.com token is set');
+  try {
+    const { me } = await queryMondayAs(mondayToken, 'query { me { id name } }');
+    check('mondayToken', 'ok', `Monday.com accepted the token (user ${me.name || me.id})`);
+  } catch (error) {
+    return check('mondayToken', 'error', `Monday.com rejected the token (${describeApiError(error)})`);
+  }
+  
+  if (!mondayBoardId) return check('mondayBoardId', 'error', 'No Monday.com board ID is set');
+  let board;
+  try {
+    const data = await queryMondayAs(mondayToken, `
+      query ($boardId: ID!) {
+        boards(ids: [$boardId]) { id name state columns { id title type } }
+      }
+    `, { boardId: mondayBoardId });
+    board = data.boards?.[0];
+  } catch (error) {
+    return check('mondayBoardId', 'error', `Board ${mondayBoardId} could not be read (${describeApiError(error)})`);
+  }
+  if (!board) return check('mondayBoardId', 'error', `Board ${mondayBoardId} does not exist or is not shared with the token's user`);
+  if (board.state && board.state !== 'active') return check('mondayBoardId', 'error', `Board "${board.name}" is ${board.state}`);
+  check('mondayBoardId', 'ok', `Board "${board.name}" found`);
+  
+  const checkColumn = (setting, field, columnId, property) => {
+    const problem = checkColumnCompatibility(columnId, property, board.columns);
+    const column = board.columns.find(col => col.id === columnId);
+    check(setting, problem ? 'error' : 'ok', problem ? `${field}: ${problem}` : `${field} → ${column.type} column "${column.title}"`);
+  };
+  Object.entries(fieldMapping).forEach(([field, columnId]) => {
+    if (columnId) checkColumn('fieldMapping', field, columnId, BUILT_IN_FIELDS[field].property);
+  });
+  customMappings.forEach(row => checkColumn('customMappings', row.hubspotProperty, row.mondayColumn, row.hubspotProperty));
+  
+  if (attachmentSync.mondayColumn) {
+    const column = board.columns.find(col => col.id === attachmentSync.mondayColumn);
+    if (!column) {
+      check('attachmentSync', 'error', `Attachment column "${attachmentSync.mondayColumn}" does not exist on the board`);
+    } else if (column.type !== 'file') {
+      check('attachmentSync', 'error', `Attachment column "${column.title}" is a ${column.type} column, not a File column`);
+    } else {
+      check('attachmentSync', 'ok', `Attachments go to file column "${column.title}"`);
+    }
+  }
+}
+
+async function validateConfiguration(candidate = {}) {
+  const settings = {
+    hubspotToken: candidate.hubspotToken || config.hubspotToken,
+    mondayToken: candidate.mondayToken || config.mondayToken,
+    mondayBoardId: candidate.mondayBoardId ?? config.mondayBoardId,
+    fieldMapping: candidate.fieldMapping || config.fieldMapping,
+    customMappings: candidate.customMappings || config.customMappings,
+    attachmentSync: candidate.attachmentSync || config.attachmentSync
+  };
+  const checks = [];
+  const check = (setting, status, message) => {
+    checks.push({ setting, status, message });
+  };
+  
+  await checkHubSpotSettings(settings, check);
+  await checkMondaySettings(settings, check);
+  return {
+    valid: !checks.some(entry => entry.status === 'error'),
+    checkedAt: new Date().toISOString(),
+    checks
+  };
+}
+
+// The errors that should stop the given settings from being saved
+function findBlockingChecks(report, settings) {
+  return report.checks.filter(entry => entry.status === 'error' && settings.includes(entry.setting));
 }
 
 // ========== FIELD DISCOVERY FUNCTIONS ==========
 
 async function fetchHubSpotProperties() {
   try {
-    const response = await axios.get('https://api.hubapi.com/crm/v3/properties/tickets', {
+    const response = await hubspotHttp.get('https://api.hubapi.com/crm/v3/properties/tickets', {
       headers: {
         'Authorization': `Bearer ${config.hubspotToken}`,
         'Content-Type': 'application/json'
@@ -67,7 +925,8 @@ async function fetchHubSpotProperties() {
       name: prop.name,
       label: prop.label,
       type: prop.type,
-      description: prop.description || ''
+      description: prop.description || '',
+      options: (prop.options || []).map(option => ({ value: option.value, label: option.label }))
     }));
     
     return config.hubspotProperties;
@@ -110,328 +969,3268 @@ async function fetchMondayColumns() {
   }
 }
 
-// ========== HUBSPOT FUNCTIONS ==========
+// Pipelines change rarely, so creating tickets uses the last fetched ones for
+// up to a TTL; see getCachedHubSpotPipelines
+const PIPELINE_CACHE_TTL_MS = 10 * 60 * 1000;
+let pipelineCache = { pipelines: [], fetchedAt: 0 };
 
-async function getHubSpotTickets() {
+async function fetchHubSpotPipelines() {
   try {
-    const response = await axios.get('https://api.hubapi.com/crm/v3/objects/tickets', {
+    const response = await hubspotHttp.get('https://api.hubapi.com/crm/v3/pipelines/tickets', {
       headers: {
         'Authorization': `Bearer ${config.hubspotToken}`,
         'Content-Type': 'application/json'
-      },
-      params: {
-        properties: 'subject,content,hs_pipeline_stage,hs_ticket_priority,hubspot_owner_id',
-        limit: 100
       }
     });
-    return response.data.results || [];
+    
+    const byDisplayOrder = (a, b) => (a.displayOrder ?? 0) - (b.displayOrder ?? 0);
+    const pipelines = response.data.results.map(pipeline => ({
+      id: pipeline.id,
+      label: pipeline.label,
+      stages: [...pipeline.stages].sort(byDisplayOrder).map(stage => ({ id: stage.id, label: stage.label }))
+    }));
+    pipelineCache = { pipelines, fetchedAt: Date.now() };
+    return pipelines;
   } catch (error) {
-    logSync(`Error fetching HubSpot tickets: ${error.message}`, 'error');
-    throw error;
+    logSync(`Error fetching HubSpot pipelines: ${error.message}`, 'error');
+    return [];
   }
 }
 
-async function createHubSpotTicket(data) {
-  try {
-    const response = await axios.post('https://api.hubapi.com/crm/v3/objects/tickets', {
-      properties: {
-        subject: data.subject,
-        content: data.content,
-        hs_pipeline_stage: data.status || 'new',
-        hs_ticket_priority: data.priority || 'MEDIUM'
-      }
-    }, {
-      headers: {
-        'Authorization': `Bearer ${config.hubspotToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    return response.data;
-  } catch (error) {
-    logSync(`Error creating HubSpot ticket: ${error.message}`, 'error');
-    throw error;
+async function getCachedHubSpotPipelines() {
+  if (pipelineCache.pipelines.length > 0 && Date.now() - pipelineCache.fetchedAt < PIPELINE_CACHE_TTL_MS) {
+    return pipelineCache.pipelines;
   }
+  return fetchHubSpotPipelines();
 }
 
-async function updateHubSpotTicket(ticketId, data) {
-  try {
-    // Only include properties that are provided
-    const properties = {};
-    if (data.subject !== undefined) properties.subject = data.subject;
-    if (data.content !== undefined) properties.content = data.content;
-    if (data.status !== undefined) properties.hs_pipeline_stage = data.status;
-    if (data.priority !== undefined) properties.hs_ticket_priority = data.priority;
-    
-    const response = await axios.patch(`https://api.hubapi.com/crm/v3/objects/tickets/${ticketId}`, {
-      properties
-    }, {
-      headers: {
-        'Authorization': `Bearer ${config.hubspotToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    return response.data;
+// ========== VALUE TRANSLATION ==========
+
+// config.valueMaps holds, per field, HubSpot value → Monday label. The status
+// map is kept per pipeline, because pipelines often share stage names. A
+// field with an empty map passes values through untouched. Entries with an
+// empty label are placeholders waiting to be filled in on the dashboard.
+const warnedUnmappedValues = new Set();
+
+// HubSpot's default ticket pipeline, used by profiles without one
+const DEFAULT_PIPELINE_ID = '0';
+
+// The pipeline a ticket's stage belongs to; without a ticket, the one a new
+// ticket is created in
+function getTicketPipeline(ticket) {
+  return ticket?.properties.hs_pipeline || config.hubspotPipeline || DEFAULT_PIPELINE_ID;
+}
+
+// The map translating `field`, or null when values pass through. Stage IDs
+// are unique across pipelines, so any pipeline's entry translates a stage to
+// a label; a label translates back only within `pipelineId`.
+function getValueMap(field, pipelineId) {
+  const map = config.valueMaps[field];
+  if (!map || Object.keys(map).length === 0) return null;
+  if (field !== 'status') return map;
+  return pipelineId === undefined ? Object.assign({}, ...Object.values(map)) : map[pipelineId] || {};
+}
+
+// Log each unmapped value once per process rather than on every sync run
+function warnUnmappedValue(field, value, side) {
+  const key = `${field}:${side}:${value}`;
+  if (warnedUnmappedValues.has(key)) return;
+  warnedUnmappedValues.add(key);
+  logSync(`No ${side} value mapped for ${field} "${value}" - field skipped. Add it under Value Translation.`, 'warning');
+}
+
+function toMondayLabel(field, value) {
+  const map = getValueMap(field);
+  if (!map) return value;
+  if (value === null || value === undefined || value === '') return value;
+  if (map[value]) return map[value];
+  warnUnmappedValue(field, value, 'Monday');
+  return undefined;
+}
+
+function toHubSpotValue(field, label, pipelineId) {
+  const map = getValueMap(field, pipelineId);
+  if (!map) return label;
+  if (!label) return label;
+  const match = Object.keys(map).find(value => map[value] && map[value].toLowerCase() === label.toLowerCase());
+  if (match !== undefined) return match;
+  warnUnmappedValue(field, label, 'HubSpot');
+  return undefined;
+}
+
+// Labels defined on a status or dropdown column, from its settings_str
+function getColumnLabels(columnId) {
+  const column = config.mondayColumns.find(col => col.id === columnId);
+  if (!column || !column.settings) return [];
+  try {
+    const settings = JSON.parse(column.settings);
+    // Status columns use { "0": "Done", ... }, dropdowns use [{ id, name }, ...]
+    if (Array.isArray(settings.labels)) return settings.labels.map(label => label.name);
+    return Object.values(settings.labels || {}).filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+// HubSpot values for each translated field, with their display labels
+async function fetchHubSpotValueOptions() {
+  const [pipelines, properties] = await Promise.all([
+    fetchHubSpotPipelines(),
+    fetchHubSpotProperties()
+  ]);
+  const priorityProperty = properties.find(prop => prop.name === 'hs_ticket_priority');
+  
+  return {
+    // Only the profile's pipeline, when it has one
+    status: pipelines.filter(pipeline => !config.hubspotPipeline || pipeline.id === config.hubspotPipeline).flatMap(pipeline => pipeline.stages.map(stage => ({
+      value: stage.id,
+      label: stage.label,
+      pipeline: pipeline.id,
+      description: `${pipeline.label} → ${stage.label}`
+    }))),
+    priority: (priorityProperty?.options || []).map(option => ({
+      value: option.value,
+      label: option.label,
+      description: option.label
+    }))
+  };
+}
+
+// Fill in value maps by matching HubSpot labels to Monday labels. Entries
+// that already have a label are kept as-is.
+async function seedValueMaps() {
+  const [hubspotOptions] = await Promise.all([
+    fetchHubSpotValueOptions(),
+    fetchMondayColumns()
+  ]);
+  
+  const unmatched = [];
+  Object.keys(config.valueMaps).forEach(field => {
+    const mondayLabels = getColumnLabels(config.fieldMapping[field]);
+    const maps = structuredClone(config.valueMaps[field]);
+    
+    hubspotOptions[field].forEach(option => {
+      // Stages go into their pipeline's map
+      const map = option.pipeline === undefined ? maps : (maps[option.pipeline] = maps[option.pipeline] || {});
+      if (map[option.value]) return;
+      const label = mondayLabels.find(name => name.toLowerCase() === option.label.toLowerCase());
+      map[option.value] = label || '';
+      if (!label) unmatched.push(`${field} "${option.description}"`);
+    });
+    
+    config.valueMaps[field] = maps;
+  });
+  
+  logSync(`Value maps seeded${unmatched.length ? `; no Monday label found for ${unmatched.join(', ')}` : ''}`, unmatched.length ? 'warning' : 'success');
+  return config.valueMaps;
+}
+
+// "value = Label" per line, as edited on the dashboard
+function formatValueMap(map) {
+  return Object.entries(map).map(([value, label]) => `${value} = ${label}`).join('\n');
+}
+
+function parseValueMap(text) {
+  const map = {};
+  (text || '').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator === -1) return;
+    const value = line.slice(0, separator).trim();
+    if (value) map[value] = line.slice(separator + 1).trim();
+  });
+  return map;
+}
+
+// The status map as "pipeline/stage = Label" per line
+function formatStatusMap(maps) {
+  return Object.entries(maps)
+    .flatMap(([pipelineId, map]) => Object.entries(map).map(([stage, label]) => `${pipelineId}/${stage} = ${label}`))
+    .join('\n');
+}
+
+// A stage without "pipeline/" belongs to the profile's pipeline
+function parseStatusMap(text) {
+  const maps = {};
+  Object.entries(parseValueMap(text)).forEach(([value, label]) => {
+    const separator = value.indexOf('/');
+    const pipelineId = separator === -1 ? getTicketPipeline() : value.slice(0, separator).trim();
+    const stage = value.slice(separator + 1).trim();
+    if (!pipelineId || !stage) return;
+    maps[pipelineId] = maps[pipelineId] || {};
+    maps[pipelineId][stage] = label;
+  });
+  return maps;
+}
+
+// ========== USER DIRECTORY ==========
+
+// HubSpot owners and Monday users, refreshed at most once per TTL. Owners are
+// matched to users by email unless config.userOverrides pairs them manually.
+const USER_DIRECTORY_TTL_MS = 60 * 60 * 1000;
+
+const userDirectory = {
+  owners: [],
+  mondayUsers: [],
+  fetchedAt: null
+};
+
+async function fetchHubSpotOwners() {
+  const owners = [];
+  let after;
+  
+  do {
+    const response = await hubspotHttp.get('https://api.hubapi.com/crm/v3/owners', {
+      headers: {
+        'Authorization': `Bearer ${config.hubspotToken}`,
+        'Content-Type': 'application/json'
+      },
+      params: { limit: 100, after }
+    });
+    owners.push(...(response.data.results || []).map(owner => ({
+      id: String(owner.id),
+      email: owner.email || '',
+      name: [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email || String(owner.id)
+    })));
+    after = response.data.paging?.next?.after;
+  } while (after);
+  
+  return owners;
+}
+
+async function fetchMondayUsers() {
+  const query = `
+    query ($limit: Int!, $page: Int!) {
+      users(limit: $limit, page: $page) {
+        id
+        name
+        email
+      }
+    }
+  `;
+  const limit = 200;
+  const users = [];
+  
+  for (let page = 1; ; page++) {
+    const data = await mondayQuery(query, { limit, page });
+    const batch = data.users || [];
+    users.push(...batch.map(user => ({ id: String(user.id), name: user.name, email: user.email || '' })));
+    if (batch.length < limit) break;
+  }
+  
+  return users;
+}
+
+async function refreshUserDirectory({ force = false } = {}) {
+  const fresh = userDirectory.fetchedAt && Date.now() - userDirectory.fetchedAt < USER_DIRECTORY_TTL_MS;
+  if (fresh && !force) return userDirectory;
+  
+  try {
+    const [owners, mondayUsers] = await Promise.all([fetchHubSpotOwners(), fetchMondayUsers()]);
+    userDirectory.owners = owners;
+    userDirectory.mondayUsers = mondayUsers;
+    userDirectory.fetchedAt = Date.now();
+  } catch (error) {
+    logSync(`Error refreshing user directory: ${error.message}`, 'error');
+  }
+  return userDirectory;
+}
+
+function sameEmail(a, b) {
+  return Boolean(a) && Boolean(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+function findMondayUserForOwner(ownerId) {
+  const overrideId = config.userOverrides[ownerId];
+  if (overrideId) return userDirectory.mondayUsers.find(user => user.id === overrideId) || { id: overrideId };
+  const owner = userDirectory.owners.find(entry => entry.id === ownerId);
+  return owner && userDirectory.mondayUsers.find(user => sameEmail(user.email, owner.email));
+}
+
+function findOwnerForMondayUser(userId) {
+  const overrideOwnerId = Object.keys(config.userOverrides).find(ownerId => config.userOverrides[ownerId] === userId);
+  if (overrideOwnerId) return userDirectory.owners.find(owner => owner.id === overrideOwnerId) || { id: overrideOwnerId };
+  const user = userDirectory.mondayUsers.find(entry => entry.id === userId);
+  return user && userDirectory.owners.find(owner => sameEmail(owner.email, user.email));
+}
+
+// HubSpot owner ID → Monday user ID; undefined when there is no counterpart
+function toMondayUserId(ownerId) {
+  if (!ownerId) return ownerId;
+  const user = findMondayUserForOwner(String(ownerId));
+  if (user) return user.id;
+  const owner = userDirectory.owners.find(entry => entry.id === String(ownerId));
+  warnUnmappedOwner(`HubSpot owner ${owner ? `${owner.name} <${owner.email}>` : ownerId} has no matching Monday user - assignee skipped. Add an override under User Directory.`);
+  return undefined;
+}
+
+// Monday user IDs (comma separated) → HubSpot owner ID. HubSpot tickets have
+// a single owner, so the first person on the column wins.
+function toHubSpotOwnerId(userIds) {
+  if (!userIds) return userIds;
+  const userId = String(userIds).split(',')[0].trim();
+  const owner = findOwnerForMondayUser(userId);
+  if (owner) return owner.id;
+  const user = userDirectory.mondayUsers.find(entry => entry.id === userId);
+  warnUnmappedOwner(`Monday user ${user ? `${user.name} <${user.email}>` : userId} has no matching HubSpot owner - assignee skipped. Add an override under User Directory.`);
+  return undefined;
+}
+
+function warnUnmappedOwner(message) {
+  if (warnedUnmappedValues.has(message)) return;
+  warnedUnmappedValues.add(message);
+  logSync(message, 'warning');
+}
+
+// ========== HUBSPOT FUNCTIONS ==========
+
+// Fail loudly rather than sync a partial set: records past the cap would look
+// "missing" and get re-created on the other side
+function checkRecordCap(count, source) {
+  if (count > config.paging.maxRecords) {
+    throw new Error(`${source} returned more than ${config.paging.maxRecords} records; raise SYNC_MAX_RECORDS to sync them all`);
+  }
+}
+
+// Properties to fetch: everything the built-in fields, custom mappings and
+// record filters use
+function getHubSpotTicketProperties() {
+  return [...new Set([
+    // Stage labels are translated within the ticket's pipeline
+    'hs_pipeline',
+    ...getSyncedFields().map(field => field.property),
+    ...getHubSpotFilterRules().map(rule => rule.property)
+  ])];
+}
+
+// Every ticket matching the profile's filters (see buildHubSpotSearchFilters),
+// or every ticket when none can be searched for
+async function getHubSpotTickets() {
+  const filters = buildHubSpotSearchFilters();
+  if (filters.length > 0) {
+    try {
+      return await searchHubSpotTickets({ filterGroups: [{ filters }] });
+    } catch (error) {
+      logSync(`Error searching HubSpot tickets: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  try {
+    const tickets = [];
+    let after;
+    
+    do {
+      const response = await hubspotHttp.get('https://api.hubapi.com/crm/v3/objects/tickets', {
+        headers: {
+          'Authorization': `Bearer ${config.hubspotToken}`,
+          'Content-Type': 'application/json'
+        },
+        params: {
+          properties: getHubSpotTicketProperties().join(','),
+          limit: config.paging.hubspotPageSize,
+          after
+        }
+      });
+      tickets.push(...(response.data.results || []));
+      checkRecordCap(tickets.length, 'HubSpot');
+      after = response.data.paging?.next?.after;
+    } while (after);
+    
+    return tickets;
+  } catch (error) {
+    logSync(`Error fetching HubSpot tickets: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Every page of a ticket search; `search` holds filterGroups and sorts
+async function searchHubSpotTickets(search) {
+  const tickets = [];
+  let after;
+  
+  do {
+    const response = await hubspotHttp.post('https://api.hubapi.com/crm/v3/objects/tickets/search', {
+      ...search,
+      properties: getHubSpotTicketProperties(),
+      limit: config.paging.hubspotPageSize,
+      after
+    }, {
+      headers: {
+        'Authorization': `Bearer ${config.hubspotToken}`,
+        'Content-Type': 'application/json'
+      },
+      // A read, despite the POST
+      idempotent: true
+    });
+    tickets.push(...(response.data.results || []));
+    checkRecordCap(tickets.length, 'HubSpot');
+    after = response.data.paging?.next?.after;
+  } while (after);
+  
+  return tickets;
+}
+
+// Tickets whose hs_lastmodifieddate is at or after `since` (ISO timestamp)
+async function getHubSpotTicketsModifiedSince(since) {
+  try {
+    return await searchHubSpotTickets({
+      filterGroups: [{
+        filters: [{ propertyName: 'hs_lastmodifieddate', operator: 'GTE', value: String(Date.parse(since)) }]
+      }],
+      sorts: [{ propertyName: 'hs_lastmodifieddate', direction: 'ASCENDING' }]
+    });
+  } catch (error) {
+    logSync(`Error searching modified HubSpot tickets: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// HubSpot's search takes at most five filter groups per request
+const HUBSPOT_SEARCH_GROUPS = 5;
+
+// Tickets whose subject is one of `subjects`, candidates for linking items by name
+async function getHubSpotTicketsBySubjects(subjects) {
+  const wanted = [...new Set(subjects.filter(Boolean))];
+  try {
+    const tickets = [];
+    for (let i = 0; i < wanted.length; i += HUBSPOT_SEARCH_GROUPS) {
+      const chunk = wanted.slice(i, i + HUBSPOT_SEARCH_GROUPS);
+      let after;
+      do {
+        const response = await hubspotHttp.post('https://api.hubapi.com/crm/v3/objects/tickets/search', {
+          filterGroups: chunk.map(subject => ({
+            filters: [{ propertyName: 'subject', operator: 'EQ', value: subject }]
+          })),
+          properties: getHubSpotTicketProperties(),
+          limit: config.paging.hubspotPageSize,
+          after
+        }, {
+          headers: {
+            'Authorization': `Bearer ${config.hubspotToken}`,
+            'Content-Type': 'application/json'
+          },
+          // A read, despite the POST
+          idempotent: true
+        });
+        tickets.push(...(response.data.results || []));
+        checkRecordCap(tickets.length, 'HubSpot');
+        after = response.data.paging?.next?.after;
+      } while (after);
+    }
+    // The search ignores case; linking by name needs the exact subject
+    return tickets.filter(ticket => wanted.includes(ticket.properties.subject));
+  } catch (error) {
+    logSync(`Error searching HubSpot tickets by subject: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+async function getHubSpotTicketsByIds(ticketIds) {
+  try {
+    const tickets = [];
+    // The batch read endpoint accepts up to 100 IDs per call
+    for (let i = 0; i < ticketIds.length; i += 100) {
+      const response = await hubspotHttp.post('https://api.hubapi.com/crm/v3/objects/tickets/batch/read', {
+        properties: getHubSpotTicketProperties(),
+        inputs: ticketIds.slice(i, i + 100).map(id => ({ id: String(id) }))
+      }, {
+        headers: {
+          'Authorization': `Bearer ${config.hubspotToken}`,
+          'Content-Type': 'application/json'
+        },
+        // A read, despite the POST
+        idempotent: true
+      });
+      tickets.push(...(response.data.results || []));
+    }
+    return tickets;
+  } catch (error) {
+    logSync(`Error fetching HubSpot tickets by ID: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// HubSpot properties for the synced fields present in data
+function buildTicketProperties(data, { omitEmpty = false } = {}) {
+  const properties = {};
+  getSyncedFields().forEach(({ key, property }) => {
+    if (data[key] === undefined) return;
+    if (omitEmpty && (data[key] === null || data[key] === '')) return;
+    properties[property] = data[key] ?? '';
+  });
+  return properties;
+}
+
+// First stage of the profile's pipeline, or of HubSpot's default pipeline
+// when none is configured - new tickets need a stage to be created
+async function findDefaultPipelineStage() {
+  const pipelineId = getTicketPipeline();
+  const pipelines = await getCachedHubSpotPipelines();
+  const pipeline = pipelines.find(p => p.id === pipelineId);
+  return pipeline?.stages[0]?.id;
+}
+
+async function createHubSpotTicket(data) {
+  try {
+    const properties = buildTicketProperties(data, { omitEmpty: true });
+    if (config.hubspotPipeline) properties.hs_pipeline = config.hubspotPipeline;
+    if (!properties.hs_pipeline_stage) {
+      const stage = await findDefaultPipelineStage();
+      if (stage) properties.hs_pipeline_stage = stage;
+    }
+    
+    const response = await hubspotHttp.post('https://api.hubapi.com/crm/v3/objects/tickets', {
+      properties
+    }, {
+      headers: {
+        'Authorization': `Bearer ${config.hubspotToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    rememberWrite('hubspot', response.data.id, properties, { created: true });
+    return response.data;
+  } catch (error) {
+    logSync(`Error creating HubSpot ticket: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+async function updateHubSpotTicket(ticketId, data) {
+  try {
+    // Only include properties that are provided
+    const properties = buildTicketProperties(data);
+    
+    const response = await hubspotHttp.patch(`https://api.hubapi.com/crm/v3/objects/tickets/${ticketId}`, {
+      properties
+    }, {
+      headers: {
+        'Authorization': `Bearer ${config.hubspotToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    rememberWrite('hubspot', ticketId, properties);
+    return response.data;
   } catch (error) {
     logSync(`Error updating HubSpot ticket: ${error.message}`, 'error');
     throw error;
   }
 }
 
-// ========== MONDAY.COM FUNCTIONS ==========
+// Notes associated with a ticket, oldest first:
+// [{ id, body, ownerId, attachmentIds, createdAt }]
+async function getTicketNotes(ticketId) {
+  try {
+    const noteIds = [];
+    let after;
+    do {
+      const response = await hubspotHttp.get(`https://api.hubapi.com/crm/v4/objects/tickets/${ticketId}/associations/notes`, {
+        headers: {
+          'Authorization': `Bearer ${config.hubspotToken}`,
+          'Content-Type': 'application/json'
+        },
+        params: { limit: 500, after }
+      });
+      noteIds.push(...(response.data.results || []).map(result => String(result.toObjectId)));
+      after = response.data.paging?.next?.after;
+    } while (after);
+    
+    const notes = [];
+    for (let i = 0; i < noteIds.length; i += 100) {
+      const response = await hubspotHttp.post('https://api.hubapi.com/crm/v3/objects/notes/batch/read', {
+        properties: ['hs_note_body', 'hs_timestamp', 'hubspot_owner_id', 'hs_attachment_ids'],
+        inputs: noteIds.slice(i, i + 100).map(id => ({ id }))
+      }, {
+        headers: {
+          'Authorization': `Bearer ${config.hubspotToken}`,
+          'Content-Type': 'application/json'
+        },
+        idempotent: true
+      });
+      notes.push(...(response.data.results || []).map(note => ({
+        id: String(note.id),
+        body: note.properties.hs_note_body || '',
+        ownerId: note.properties.hubspot_owner_id || null,
+        attachmentIds: (note.properties.hs_attachment_ids || '').split(';').filter(Boolean),
+        createdAt: note.createdAt || note.properties.hs_timestamp
+      })));
+    }
+    return notes.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  } catch (error) {
+    logSync(`Error fetching notes for HubSpot ticket ${ticketId}: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// HubSpot-defined association type for note → ticket
+const NOTE_TO_TICKET_ASSOCIATION_TYPE = 228;
+
+async function createHubSpotNote(ticketId, body, ownerId, attachmentIds = []) {
+  try {
+    const properties = { hs_note_body: body, hs_timestamp: new Date().toISOString() };
+    if (ownerId) properties.hubspot_owner_id = ownerId;
+    if (attachmentIds.length > 0) properties.hs_attachment_ids = attachmentIds.join(';');
+    
+    const response = await hubspotHttp.post('https://api.hubapi.com/crm/v3/objects/notes', {
+      properties,
+      associations: [{
+        to: { id: String(ticketId) },
+        types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: NOTE_TO_TICKET_ASSOCIATION_TYPE }]
+      }]
+    }, {
+      headers: {
+        'Authorization': `Bearer ${config.hubspotToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    return response.data;
+  } catch (error) {
+    logSync(`Error creating note on HubSpot ticket ${ticketId}: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Files attached to a ticket's notes: [{ id, name, size, noteId }]
+async function getTicketFiles(ticketId) {
+  const notes = await getTicketNotes(ticketId);
+  const files = [];
+  for (const note of notes) {
+    for (const fileId of note.attachmentIds) {
+      try {
+        const response = await hubspotHttp.get(`https://api.hubapi.com/files/v3/files/${fileId}`, {
+          headers: {
+            'Authorization': `Bearer ${config.hubspotToken}`
+          }
+        });
+        const file = response.data;
+        files.push({
+          id: String(file.id),
+          name: file.extension && !String(file.name).endsWith(`.${file.extension}`) ? `${file.name}.${file.extension}` : file.name,
+          size: Number(file.size) || 0,
+          noteId: note.id
+        });
+      } catch (error) {
+        // Attachments can be deleted while the note stays
+        if (error.response?.status !== 404) throw error;
+      }
+    }
+  }
+  return files;
+}
+
+// Downloads stop with an error once they pass maxBytes
+async function downloadHubSpotFile(fileId, maxBytes) {
+  const headers = { 'Authorization': `Bearer ${config.hubspotToken}` };
+  const signed = await hubspotHttp.get(`https://api.hubapi.com/files/v3/files/${fileId}/signed-url`, { headers });
+  const response = await hubspotHttp.get(signed.data.url, { responseType: 'arraybuffer', maxContentLength: maxBytes });
+  return Buffer.from(response.data);
+}
+
+// Uploads a private file and returns its ID
+async function uploadHubSpotFile(name, content) {
+  const form = new FormData();
+  form.append('file', new Blob([content]), name);
+  form.append('fileName', name);
+  form.append('folderPath', '/monday-sync');
+  form.append('options', JSON.stringify({ access: 'PRIVATE' }));
+  
+  const response = await hubspotHttp.post('https://api.hubapi.com/files/v3/files', form, {
+    headers: {
+      'Authorization': `Bearer ${config.hubspotToken}`
+    }
+  });
+  return String(response.data.id);
+}
+
+// Moves the ticket to the configured closed stage, leaving everything else
+async function closeHubSpotTicket(ticketId) {
+  const properties = { hs_pipeline_stage: config.deletion.closedStage };
+  await hubspotHttp.patch(`https://api.hubapi.com/crm/v3/objects/tickets/${ticketId}`, {
+    properties
+  }, {
+    headers: {
+      'Authorization': `Bearer ${config.hubspotToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+  rememberWrite('hubspot', ticketId, properties);
+}
+
+// HubSpot "deletes" by archiving; the ticket stays restorable for 90 days
+async function deleteHubSpotTicket(ticketId) {
+  await hubspotHttp.delete(`https://api.hubapi.com/crm/v3/objects/tickets/${ticketId}`, {
+    headers: {
+      'Authorization': `Bearer ${config.hubspotToken}`
+    }
+  });
+}
+
+// ========== MONDAY COLUMN CODECS ==========
+
+// Codecs are keyed on the column `type` from fetchMondayColumns. encode()
+// turns a plain HubSpot value into the JSON shape change_multiple_column_values
+// expects for that column; decode() turns a column's parsed `value` (falling
+// back to its `text`) into a plain string. `accepts` lists the HubSpot
+// property types the column can hold.
+const COLUMN_CODECS = {
+  text: {
+    accepts: ['string', 'enumeration', 'number', 'date', 'datetime', 'bool', 'phone_number'],
+    encode: value => String(value),
+    decode: (parsed, text) => (typeof parsed === 'string' ? parsed : text)
+  },
+  long_text: {
+    accepts: ['string', 'enumeration', 'number', 'date', 'datetime', 'bool', 'phone_number'],
+    encode: value => ({ text: String(value) }),
+    decode: (parsed, text) => parsed?.text ?? text
+  },
+  status: {
+    accepts: ['enumeration', 'string', 'bool'],
+    encode: value => ({ label: String(value) }),
+    decode: (parsed, text) => text
+  },
+  dropdown: {
+    accepts: ['enumeration', 'string'],
+    // HubSpot multi-select values are semicolon separated
+    encode: value => ({ labels: String(value).split(';').map(label => label.trim()).filter(Boolean) }),
+    decode: (parsed, text) => (text ? text.split(',').map(label => label.trim()).join(';') : text)
+  },
+  date: {
+    accepts: ['date', 'datetime'],
+    encode: (value, propertyType) => {
+      const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+      if (Number.isNaN(date.getTime())) throw new Error(`"${value}" is not a valid date`);
+      const [day, time] = date.toISOString().split('T');
+      return propertyType === 'datetime' ? { date: day, time: time.slice(0, 8) } : { date: day };
+    },
+    decode: parsed => {
+      if (!parsed?.date) return null;
+      return parsed.time ? `${parsed.date}T${parsed.time}Z` : parsed.date;
+    }
+  },
+  numbers: {
+    accepts: ['number'],
+    encode: value => {
+      if (Number.isNaN(Number(value))) throw new Error(`"${value}" is not a number`);
+      return String(Number(value));
+    },
+    decode: (parsed, text) => (parsed === null ? text : String(parsed))
+  },
+  link: {
+    accepts: ['string'],
+    encode: value => ({ url: String(value), text: String(value) }),
+    decode: (parsed, text) => parsed?.url ?? text
+  },
+  email: {
+    accepts: ['string'],
+    encode: value => ({ email: String(value), text: String(value) }),
+    decode: (parsed, text) => parsed?.email ?? text
+  },
+  phone: {
+    accepts: ['string', 'phone_number'],
+    encode: value => ({ phone: String(value) }),
+    decode: (parsed, text) => parsed?.phone ?? text
+  },
+  people: {
+    accepts: ['enumeration'],
+    // Values are Monday user IDs, comma separated
+    encode: value => ({
+      personsAndTeams: String(value).split(',').map(id => id.trim()).filter(Boolean).map(id => {
+        if (!/^\d+$/.test(id)) throw new Error(`"${id}" is not a Monday user ID`);
+        return { id: Number(id), kind: 'person' };
+      })
+    }),
+    decode: parsed => (parsed?.personsAndTeams || [])
+      .filter(entry => entry.kind === 'person')
+      .map(entry => String(entry.id))
+      .join(',') || null
+  },
+  checkbox: {
+    accepts: ['bool'],
+    encode: value => (String(value) === 'true' ? { checked: 'true' } : null),
+    decode: parsed => (parsed?.checked === 'true' || parsed?.checked === true ? 'true' : 'false')
+  }
+};
+
+// Older API versions and the UI use different names for some column types
+const COLUMN_TYPE_ALIASES = {
+  'long-text': 'long_text',
+  color: 'status',
+  numeric: 'numbers',
+  person: 'people',
+  'multiple-person': 'people',
+  boolean: 'checkbox'
+};
+
+// Property types of the built-in fields, used until properties are discovered
+const DEFAULT_PROPERTY_TYPES = {
+  subject: 'string',
+  content: 'string',
+  hs_pipeline_stage: 'enumeration',
+  hs_ticket_priority: 'enumeration',
+  hubspot_owner_id: 'enumeration'
+};
+
+function getMondayColumn(columnId) {
+  return config.mondayColumns.find(col => col.id === columnId);
+}
+
+function getColumnCodec(column) {
+  if (!column) return null;
+  return COLUMN_CODECS[COLUMN_TYPE_ALIASES[column.type] || column.type] || null;
+}
+
+function getHubSpotPropertyType(propertyName) {
+  const property = config.hubspotProperties.find(prop => prop.name === propertyName);
+  return property?.type || DEFAULT_PROPERTY_TYPES[propertyName] || 'string';
+}
+
+// null if the mapped column can hold the property, otherwise why it can't.
+// Checks against the profile board's discovered columns unless given others.
+function checkColumnCompatibility(columnId, propertyName, columns = config.mondayColumns) {
+  const column = columns.find(col => col.id === columnId);
+  if (!column) return `Monday column "${columnId}" does not exist on the board`;
+  const codec = getColumnCodec(column);
+  if (!codec) return `Monday column "${column.title}" has unsupported type "${column.type}"`;
+  const propertyType = getHubSpotPropertyType(propertyName);
+  if (!codec.accepts.includes(propertyType)) {
+    return `Monday ${column.type} column "${column.title}" cannot hold HubSpot ${propertyType} property "${propertyName}"`;
+  }
+  return null;
+}
+
+function encodeColumnValue(columnId, value, propertyName) {
+  const column = getMondayColumn(columnId);
+  const codec = getColumnCodec(column);
+  // Unknown columns get the raw string, which Monday accepts for simple types
+  if (!codec) return value === null || value === undefined ? '' : String(value);
+  if (value === null || value === undefined || value === '') {
+    // Empty string clears text columns; everything else is cleared with null
+    return codec === COLUMN_CODECS.text ? '' : null;
+  }
+  
+  try {
+    return codec.encode(value, getHubSpotPropertyType(propertyName));
+  } catch (error) {
+    throw new Error(`Cannot write HubSpot property "${propertyName}" to Monday ${column.type} column "${column.title}": ${error.message}`);
+  }
+}
+
+function decodeColumnValue(columnValue) {
+  if (!columnValue) return undefined;
+  const codec = getColumnCodec(getMondayColumn(columnValue.id));
+  if (!codec) return columnValue.text;
+  
+  let parsed = null;
+  try {
+    parsed = columnValue.value ? JSON.parse(columnValue.value) : null;
+  } catch (error) {
+    parsed = null;
+  }
+  return codec.decode(parsed, columnValue.text) ?? null;
+}
+
+// Columns are needed to pick codecs; fetch them once if not yet discovered
+async function ensureMondayColumns() {
+  if (config.mondayColumns.length === 0) {
+    await fetchMondayColumns();
+  }
+}
+
+// ========== MONDAY.COM FUNCTIONS ==========
+
+// Adds the complexity field to the root of a query or mutation so every
+// response reports its cost and the remaining budget
+function withComplexity(query) {
+  const end = query.lastIndexOf('}');
+  return `${query.slice(0, end)}  complexity { before after reset_in_x_seconds }\n${query.slice(end)}`;
+}
+
+async function mondayQuery(query, variables = {}) {
+  try {
+    const response = await mondayHttp.post('https://api.monday.com/v2', {
+      query: withComplexity(query),
+      variables
+    }, {
+      headers: {
+        'Authorization': config.mondayToken,
+        'Content-Type': 'application/json'
+      },
+      // Mutations such as create_item must not be repeated after a 5xx
+      idempotent: !/^\s*mutation\b/.test(query)
+    });
+    
+    if (response.data.errors) {
+      throw new Error(response.data.errors[0].message);
+    }
+    
+    const { complexity, ...data } = response.data.data || {};
+    return data;
+  } catch (error) {
+    logSync(`Monday.com API error: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+const MONDAY_ITEM_FIELDS = `
+  id
+  name
+  state
+  updated_at
+  board {
+    id
+  }
+  group {
+    id
+    title
+  }
+  column_values {
+    id
+    text
+    value
+  }
+`;
+
+function isActiveItem(item) {
+  return !item.state || item.state === 'active';
+}
+
+// Every item on the board matching the profile's filters, as far as
+// buildMondayQueryParams can ask Monday for them
+async function getMatchingMondayItems() {
+  return getMondayItems(await buildMondayQueryParams());
+}
+
+async function fetchMondayGroups() {
+  const data = await mondayQuery(`
+    query ($boardId: ID!) {
+      boards(ids: [$boardId]) {
+        groups {
+          id
+          title
+        }
+      }
+    }
+  `, { boardId: config.mondayBoardId });
+  return data.boards[0]?.groups || [];
+}
+
+// `queryParams` is an optional ItemsQuery filter applied server-side
+async function getMondayItems(queryParams = null) {
+  const firstPageQuery = `
+    query ($boardId: ID!, $limit: Int!, $queryParams: ItemsQuery) {
+      boards(ids: [$boardId]) {
+        items_page(limit: $limit, query_params: $queryParams) {
+          cursor
+          items {
+            ${MONDAY_ITEM_FIELDS}
+          }
+        }
+      }
+    }
+  `;
+  const nextPageQuery = `
+    query ($cursor: String!, $limit: Int!) {
+      next_items_page(cursor: $cursor, limit: $limit) {
+        cursor
+        items {
+          ${MONDAY_ITEM_FIELDS}
+        }
+      }
+    }
+  `;
+  const limit = config.paging.mondayPageSize;
+  
+  const data = await mondayQuery(firstPageQuery, { boardId: config.mondayBoardId, limit, queryParams });
+  let page = data.boards[0]?.items_page;
+  const items = [...(page?.items || [])];
+  checkRecordCap(items.length, 'Monday.com');
+  
+  while (page?.cursor) {
+    const next = await mondayQuery(nextPageQuery, { cursor: page.cursor, limit });
+    page = next.next_items_page;
+    items.push(...(page?.items || []));
+    checkRecordCap(items.length, 'Monday.com');
+  }
+  
+  return items;
+}
+
+// Items whose updated_at is at or after `since` (ISO timestamp)
+async function getMondayItemsUpdatedSince(since) {
+  // The board filter only has day granularity (in the account's time zone), so
+  // filter from the day before and narrow it down client-side
+  const fromDay = new Date(Date.parse(since) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const items = await getMondayItems({
+    rules: [{
+      column_id: '__last_updated__',
+      compare_attribute: 'UPDATED_AT',
+      compare_value: ['EXACT', fromDay],
+      operator: 'greater_than_or_equals'
+    }]
+  });
+  return items.filter(item => !item.updated_at || item.updated_at >= since);
+}
+
+// Items named one of `names`, candidates for linking tickets by subject
+async function getMondayItemsByNames(names) {
+  const wanted = [...new Set(names.filter(Boolean))];
+  if (wanted.length === 0) return [];
+  const items = await getMondayItems({
+    rules: [{ column_id: 'name', compare_value: wanted, operator: 'any_of' }]
+  });
+  return items.filter(item => wanted.includes(item.name));
+}
+
+async function getMondayItemsByIds(itemIds) {
+  const query = `
+    query ($itemIds: [ID!]) {
+      items(ids: $itemIds, limit: 100) {
+        ${MONDAY_ITEM_FIELDS}
+      }
+    }
+  `;
+  
+  const items = [];
+  for (let i = 0; i < itemIds.length; i += 100) {
+    const data = await mondayQuery(query, { itemIds: itemIds.slice(i, i + 100) });
+    items.push(...(data.items || []));
+  }
+  // Archived and deleted items are still returned by ID; to us they're gone
+  return items.filter(isActiveItem);
+}
+
+// Encoded column values for the mapped fields present in ticketData
+function buildColumnValues(ticketData, { omitEmpty = false } = {}) {
+  const columnValues = {};
+  getSyncedFields().forEach(({ field, key, property, column: columnId }) => {
+    let value = ticketData[key];
+    if (!columnId || value === undefined) return;
+    if (omitEmpty && (value === null || value === '')) return;
+    
+    value = translateToMonday(field, value);
+    if (value === undefined) return;
+    columnValues[columnId] = encodeColumnValue(columnId, value, property);
+  });
+  return columnValues;
+}
+
+async function createMondayItem(ticketData) {
+  const query = `
+    mutation ($boardId: ID!, $groupId: String, $itemName: String!, $columnValues: JSON!) {
+      create_item(board_id: $boardId, group_id: $groupId, item_name: $itemName, column_values: $columnValues) {
+        id
+      }
+    }
+  `;
+  
+  const columnValues = buildColumnValues(ticketData, { omitEmpty: true });
+  
+  const data = await mondayQuery(query, {
+    boardId: config.mondayBoardId,
+    // Without a group the item goes into the board's top group
+    groupId: config.mondayGroup || null,
+    itemName: ticketData.subject,
+    columnValues: JSON.stringify(columnValues)
+  });
+  
+  rememberMondayWrite(data.create_item.id, { ...columnValues, name: ticketData.subject }, { created: true });
+  return data.create_item;
+}
+
+async function updateMondayItem(itemId, ticketData) {
+  const query = `
+    mutation ($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
+      change_multiple_column_values(board_id: $boardId, item_id: $itemId, column_values: $columnValues) {
+        id
+      }
+    }
+  `;
+  
+  // Only include fields that are provided, using configured field mapping
+  const columnValues = buildColumnValues(ticketData);
+  if (ticketData.subject !== undefined) {
+    // 'name' is the item name pseudo-column
+    columnValues.name = ticketData.subject;
+  }
+  
+  const data = await mondayQuery(query, {
+    boardId: config.mondayBoardId,
+    itemId,
+    columnValues: JSON.stringify(columnValues)
+  });
+  
+  rememberMondayWrite(itemId, columnValues);
+  return data.change_multiple_column_values;
+}
+
+// Updates on an item, oldest first: [{ id, body, createdAt, creator }]
+async function getItemUpdates(itemId) {
+  const query = `
+    query ($itemIds: [ID!], $limit: Int!, $page: Int!) {
+      items(ids: $itemIds) {
+        updates(limit: $limit, page: $page) {
+          id
+          body
+          created_at
+          creator {
+            id
+            name
+          }
+        }
+      }
+    }
+  `;
+  
+  const limit = 100;
+  const updates = [];
+  
+  for (let page = 1; ; page++) {
+    const data = await mondayQuery(query, { itemIds: [itemId], limit, page });
+    const batch = data.items?.[0]?.updates || [];
+    updates.push(...batch);
+    checkRecordCap(updates.length, 'Monday.com');
+    if (batch.length < limit) break;
+  }
+  
+  return updates
+    .map(update => ({ id: String(update.id), body: update.body || '', createdAt: update.created_at, creator: update.creator }))
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+async function createMondayUpdate(itemId, body) {
+  const query = `
+    mutation ($itemId: ID!, $body: String!) {
+      create_update(item_id: $itemId, body: $body) {
+        id
+      }
+    }
+  `;
+  
+  const data = await mondayQuery(query, { itemId, body });
+  return data.create_update;
+}
+
+// Files in one file column of an item: [{ id, name, size, url }]
+async function getItemFiles(itemId, columnId) {
+  const query = `
+    query ($itemIds: [ID!], $columnIds: [String]) {
+      items(ids: $itemIds) {
+        assets(column_ids: $columnIds) {
+          id
+          name
+          file_size
+          public_url
+        }
+      }
+    }
+  `;
+  
+  const data = await mondayQuery(query, { itemIds: [itemId], columnIds: [columnId] });
+  return (data.items?.[0]?.assets || []).map(asset => ({
+    id: String(asset.id),
+    name: asset.name,
+    size: Number(asset.file_size) || 0,
+    url: asset.public_url
+  }));
+}
+
+// public_url is a short-lived pre-signed link; no token needed. Downloads stop
+// with an error once they pass maxBytes.
+async function downloadMondayFile(file, maxBytes) {
+  const response = await mondayHttp.get(file.url, { responseType: 'arraybuffer', maxContentLength: maxBytes });
+  return Buffer.from(response.data);
+}
+
+// Adds a file to an item's file column and returns the new asset ID. Files
+// go to the separate /v2/file endpoint as a multipart GraphQL request.
+async function uploadMondayFile(itemId, columnId, name, content) {
+  const form = new FormData();
+  form.append('query', `
+    mutation ($itemId: ID!, $columnId: String!, $file: File!) {
+      add_file_to_column(item_id: $itemId, column_id: $columnId, file: $file) {
+        id
+      }
+    }
+  `);
+  form.append('variables', JSON.stringify({ itemId, columnId }));
+  form.append('map', JSON.stringify({ file: 'variables.file' }));
+  form.append('file', new Blob([content]), name);
+  
+  try {
+    const response = await mondayHttp.post('https://api.monday.com/v2/file', form, {
+      headers: {
+        'Authorization': config.mondayToken
+      }
+    });
+    if (response.data.errors) {
+      throw new Error(response.data.errors[0].message);
+    }
+    return String(response.data.data.add_file_to_column.id);
+  } catch (error) {
+    logSync(`Monday.com file upload error: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+async function archiveMondayItem(itemId) {
+  const query = `
+    mutation ($itemId: ID!) {
+      archive_item(item_id: $itemId) {
+        id
+      }
+    }
+  `;
+  await mondayQuery(query, { itemId });
+}
+
+async function deleteMondayItem(itemId) {
+  const query = `
+    mutation ($itemId: ID!) {
+      delete_item(item_id: $itemId) {
+        id
+      }
+    }
+  `;
+  await mondayQuery(query, { itemId });
+}
+
+// ========== CONFLICT RESOLUTION ==========
+
+// Both directions resolve the same conflict; remember recent decisions so
+// history is fetched and the conflict recorded only once
+const CONFLICT_DECISION_TTL_MS = 10 * 60 * 1000;
+const conflictDecisions = new Map();
+
+function sameValue(a, b) {
+  return String(a ?? '') === String(b ?? '');
+}
+
+async function getHubSpotPropertyChangedAt(ticketId, property) {
+  try {
+    const response = await hubspotHttp.get(`https://api.hubapi.com/crm/v3/objects/tickets/${ticketId}`, {
+      headers: {
+        'Authorization': `Bearer ${config.hubspotToken}`,
+        'Content-Type': 'application/json'
+      },
+      params: { propertiesWithHistory: property }
+    });
+    // History is returned newest first
+    const latest = response.data.propertiesWithHistory?.[property]?.[0];
+    return latest ? Date.parse(latest.timestamp) : null;
+  } catch (error) {
+    logSync(`Error fetching HubSpot history for ticket ${ticketId}: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+async function getMondayColumnChangedAt(itemId, columnId) {
+  const query = `
+    query ($boardId: ID!, $itemId: ID!, $columnId: String!) {
+      boards(ids: [$boardId]) {
+        activity_logs(item_ids: [$itemId], column_ids: [$columnId], limit: 1) {
+          created_at
+        }
+      }
+    }
+  `;
+  
+  try {
+    const data = await mondayQuery(query, { boardId: config.mondayBoardId, itemId, columnId });
+    const latest = data.boards[0]?.activity_logs?.[0];
+    // created_at is in 100-nanosecond units since the epoch
+    return latest ? Math.floor(Number(latest.created_at) / 10000) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function pickConflictWinner({ ticketId, itemId, property, column }) {
+  if (config.conflictPolicy === 'hubspot' || config.conflictPolicy === 'monday') {
+    return { winner: config.conflictPolicy, reason: `policy: ${config.conflictPolicy} wins` };
+  }
+  
+  const [hubspotChangedAt, mondayChangedAt] = await Promise.all([
+    getHubSpotPropertyChangedAt(ticketId, property),
+    getMondayColumnChangedAt(itemId, column || 'name')
+  ]);
+  if (hubspotChangedAt === null || mondayChangedAt === null) {
+    return { winner: 'hubspot', reason: 'modification times unavailable; HubSpot wins' };
+  }
+  return mondayChangedAt > hubspotChangedAt
+    ? { winner: 'monday', reason: `Monday edit is newer (${new Date(mondayChangedAt).toISOString()})` }
+    : { winner: 'hubspot', reason: `HubSpot edit is newer (${new Date(hubspotChangedAt).toISOString()})` };
+}
+
+function recordConflict(conflict) {
+  config.conflicts.unshift({ timestamp: new Date().toISOString(), ...conflict });
+  if (config.conflicts.length > 100) config.conflicts.pop();
+  logSync(`Conflict on ${conflict.field} for ticket ${conflict.ticketId}: HubSpot "${conflict.hubspotValue}" vs Monday "${conflict.mondayValue}" - ${conflict.reason}`, 'warning');
+}
+
+// Which side's value a 'both' field should take when the two differ. Only a
+// change on one side since the last agreed value is unambiguous; otherwise
+// it's a conflict, settled by conflictPolicy.
+async function resolveBothField({ ticketId, itemId, field, key, property, column, hubspotValue, mondayValue, dryRun = false }) {
+  const base = getSyncedValue(ticketId, key);
+  if (base !== undefined) {
+    const hubspotChanged = !sameValue(hubspotValue, base);
+    const mondayChanged = !sameValue(mondayValue, base);
+    if (hubspotChanged && !mondayChanged) return 'hubspot';
+    if (mondayChanged && !hubspotChanged) return 'monday';
+  }
+  
+  const decisionKey = `${ticketId}:${key}`;
+  const previous = conflictDecisions.get(decisionKey);
+  if (previous && previous.expiresAt > Date.now() &&
+      sameValue(previous.hubspotValue, hubspotValue) && sameValue(previous.mondayValue, mondayValue)) {
+    return previous.winner;
+  }
+  
+  const { winner, reason } = await pickConflictWinner({ ticketId, itemId, property, column });
+  if (dryRun) return winner;
+  conflictDecisions.set(decisionKey, { hubspotValue, mondayValue, winner, expiresAt: Date.now() + CONFLICT_DECISION_TTL_MS });
+  // Without an agreed value (never synced together) there's nothing to review
+  if (base !== undefined) {
+    recordConflict({ ticketId, itemId, field, baseValue: base, hubspotValue, mondayValue, winner, reason });
+  }
+  return winner;
+}
+
+// ========== DEAD LETTERS ==========
+
+// Records that failed to sync, with the error and the record as it was read.
+// Later runs retry them until they sync or run out of automatic attempts;
+// the dashboard can retry or discard them at any time.
+const DEAD_LETTER_MAX_ATTEMPTS = Number(process.env.DEAD_LETTER_MAX_ATTEMPTS) || 5;
+
+function deadLetterKey(source, recordId) {
+  return `${source}:${recordId}`;
+}
+
+function findDeadLetter(key) {
+  return config.deadLetters.find(entry => entry.key === key);
+}
+
+function recordDeadLetter(source, recordId, { label, payload }, error) {
+  const key = deadLetterKey(source, recordId);
+  const now = new Date().toISOString();
+  let entry = findDeadLetter(key);
+  if (!entry) {
+    entry = { key, source, recordId: String(recordId), attempts: 0, firstFailedAt: now };
+    config.deadLetters.push(entry);
+  }
+  Object.assign(entry, { label, payload, error: error.message, attempts: entry.attempts + 1, lastFailedAt: now });
+  
+  const retryNote = entry.attempts >= DEAD_LETTER_MAX_ATTEMPTS ? '; no more automatic retries' : '';
+  logSync(`${source === 'hubspot' ? 'HubSpot ticket' : 'Monday item'} ${recordId} (${label}) failed to sync, attempt ${entry.attempts}: ${error.message}${retryNote}`, 'error');
+  persistState();
+}
+
+function clearDeadLetter(source, recordId, reason) {
+  const key = deadLetterKey(source, recordId);
+  if (!findDeadLetter(key)) return;
+  config.deadLetters = config.deadLetters.filter(entry => entry.key !== key);
+  logSync(`Removed ${source === 'hubspot' ? 'HubSpot ticket' : 'Monday item'} ${recordId} from failed records: ${reason}`, 'info');
+  persistState();
+}
+
+// Dead letters with the given keys, or all of them when keys is left out
+function selectDeadLetters(keys) {
+  return keys ? config.deadLetters.filter(entry => keys.includes(entry.key)) : config.deadLetters.slice();
+}
+
+function describeDeadLetters() {
+  return { maxAutomaticAttempts: DEAD_LETTER_MAX_ATTEMPTS, deadLetters: config.deadLetters };
+}
+
+// Retries regardless of the automatic attempts left; returns the queued jobs
+function retryDeadLetters(entries) {
+  const jobs = entries.map(entry => queueSyncJob(entry.source === 'hubspot' ? 'hubspotTicket' : 'mondayItem', { recordId: entry.recordId, trigger: 'retry' }));
+  logSync(`Retry queued for ${entries.length} failed record(s)`, 'info');
+  return jobs;
+}
+
+// Returns the discarded keys
+async function discardDeadLetters(entries) {
+  const keys = entries.map(entry => entry.key);
+  config.deadLetters = config.deadLetters.filter(entry => !keys.includes(entry.key));
+  logSync(`Discarded ${keys.length} failed record(s)`, 'info');
+  await persistState();
+  return keys;
+}
+
+// Adds the failed records from this side that are still due an automatic
+// retry and aren't already among the records a (delta) run fetched
+async function addDeadLetterRetries(source, records, fetchByIds) {
+  const fetched = new Set(records.map(record => String(record.id)));
+  const retryIds = config.deadLetters
+    .filter(entry => entry.source === source && entry.attempts < DEAD_LETTER_MAX_ATTEMPTS && !fetched.has(entry.recordId))
+    .map(entry => entry.recordId);
+  if (retryIds.length === 0) return records;
+  
+  const retried = await fetchByIds(retryIds);
+  const found = new Set(retried.map(record => String(record.id)));
+  retryIds.filter(id => !found.has(id)).forEach(id => clearDeadLetter(source, id, 'it no longer exists'));
+  return records.concat(retried);
+}
+
+// ========== DELETIONS ==========
+
+// A linked record that disappears (deleted on either side, or archived on
+// Monday) gets a tombstone. The survivor is then never used to re-create it.
+// Once the grace period has passed and the record is confirmed still gone,
+// its counterpart is left alone, archived (a HubSpot ticket is closed
+// instead) or deleted, per direction as set in config.deletion.
+const DELETION_ACTIONS = ['ignore', 'archive', 'delete'];
+const DELETION_LOG_LIMIT = 200;
+// Handled deletions are kept this long, so a restored record is recognized
+const TOMBSTONE_RETENTION_DAYS = 30;
+
+function describeRecord(source, recordId) {
+  return `${source === 'hubspot' ? 'HubSpot ticket' : 'Monday item'} ${recordId}`;
+}
+
+function findTombstone(source, recordId) {
+  return config.tombstones.find(tombstone => tombstone.source === source && tombstone.recordId === String(recordId));
+}
+
+// source/recordId name the record that disappeared; detectedBy is 'sync' or
+// 'webhook'
+function noteDeletion(source, recordId, counterpartId, detectedBy) {
+  recordId = String(recordId);
+  counterpartId = String(counterpartId);
+  if (findTombstone(source, recordId)) return;
+  // The counterpart disappeared first and this is our own propagation of it
+  const counterpartSource = source === 'hubspot' ? 'monday' : 'hubspot';
+  if (findTombstone(counterpartSource, counterpartId)) return;
+  
+  config.tombstones.push({
+    source,
+    recordId,
+    counterpartId,
+    detectedBy,
+    detectedAt: new Date().toISOString(),
+    status: 'pending'
+  });
+  logSync(`${describeRecord(source, recordId)} was deleted or archived (detected by ${detectedBy}); ${describeRecord(counterpartSource, counterpartId)} will be handled in ${config.deletion.graceMinutes} min`, 'warning');
+  persistState();
+}
+
+// A tombstoned record showed up again, e.g. restored from the recycle bin or
+// the archive
+function noteReappearance(source, recordId) {
+  const tombstone = findTombstone(source, recordId);
+  if (!tombstone) return;
+  
+  config.tombstones = config.tombstones.filter(entry => entry !== tombstone);
+  if (tombstone.status === 'pending') {
+    logSync(`${describeRecord(source, recordId)} is back; its deletion will not be propagated`, 'info');
+  } else {
+    logSync(`${describeRecord(source, recordId)} is back after its deletion was handled (${tombstone.action})`, 'info');
+    // Its counterpart is gone for good, so it gets paired afresh
+    if (tombstone.counterpartRemoved) {
+      unlinkRecords(source === 'hubspot' ? recordId : tombstone.counterpartId, source === 'hubspot' ? tombstone.counterpartId : recordId);
+    }
+  }
+  persistState();
+}
+
+async function propagateDeletion(tombstone) {
+  const { source, recordId, counterpartId } = tombstone;
+  
+  // It may have been restored during the grace period
+  const stillThere = source === 'hubspot'
+    ? (await getHubSpotTicketsByIds([recordId])).length > 0
+    : (await getMondayItemsByIds([recordId])).length > 0;
+  if (stillThere) {
+    noteReappearance(source, recordId);
+    return;
+  }
+  
+  const action = source === 'hubspot' ? config.deletion.hubspotToMonday : config.deletion.mondayToHubspot;
+  if (action === 'archive') {
+    await (source === 'hubspot' ? archiveMondayItem(counterpartId) : closeHubSpotTicket(counterpartId));
+  } else if (action === 'delete') {
+    await (source === 'hubspot' ? deleteMondayItem(counterpartId) : deleteHubSpotTicket(counterpartId));
+  }
+  
+  Object.assign(tombstone, {
+    status: action === 'ignore' ? 'ignored' : 'propagated',
+    action,
+    resolvedAt: new Date().toISOString(),
+    // A closed HubSpot ticket still exists; an archived Monday item doesn't
+    counterpartRemoved: action === 'delete' || (action === 'archive' && source === 'hubspot'),
+    error: null
+  });
+  
+  const counterpart = describeRecord(source === 'hubspot' ? 'monday' : 'hubspot', counterpartId);
+  const outcome = {
+    ignore: `${counterpart} left as is`,
+    archive: source === 'hubspot' ? `${counterpart} archived` : `${counterpart} closed`,
+    delete: `${counterpart} deleted`
+  }[action];
+  config.deletionLog.unshift({ timestamp: tombstone.resolvedAt, source, recordId, counterpartId, action, detectedBy: tombstone.detectedBy });
+  if (config.deletionLog.length > DELETION_LOG_LIMIT) config.deletionLog.pop();
+  logSync(`Deletion of ${describeRecord(source, recordId)} propagated: ${outcome}`, action === 'ignore' ? 'info' : 'success');
+}
+
+// Handles every tombstone whose grace period is over. Failures stay pending
+// and are retried on the next run.
+async function propagateDeletions() {
+  const graceMs = config.deletion.graceMinutes * 60 * 1000;
+  const due = config.tombstones.filter(tombstone =>
+    tombstone.status === 'pending' && Date.now() - Date.parse(tombstone.detectedAt) >= graceMs);
+  
+  for (const tombstone of due) {
+    try {
+      await propagateDeletion(tombstone);
+    } catch (error) {
+      tombstone.error = error.message;
+      logSync(`Could not propagate deletion of ${describeRecord(tombstone.source, tombstone.recordId)}: ${error.message}`, 'error');
+    }
+  }
+  if (due.length > 0) persistState();
+  
+  try {
+    await pruneTombstones();
+  } catch (error) {
+    logSync(`Could not clean up handled deletions: ${error.message}`, 'error');
+  }
+}
+
+// Drops tombstones handled more than TOMBSTONE_RETENTION_DAYS ago, with their
+// pair's link, once the counterpart is gone too. While the counterpart is
+// still there its tombstone stays: without it, the missing record would be
+// noticed and its deletion propagated again.
+async function pruneTombstones() {
+  const cutoff = Date.now() - TOMBSTONE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const expired = config.tombstones.filter(tombstone => tombstone.status !== 'pending' && Date.parse(tombstone.resolvedAt) < cutoff);
+  if (expired.length === 0) return;
+  
+  const counterpartIds = source => expired
+    .filter(tombstone => !tombstone.counterpartRemoved && tombstone.source !== source)
+    .map(tombstone => tombstone.counterpartId);
+  const hubspotIds = counterpartIds('hubspot');
+  const mondayIds = counterpartIds('monday');
+  const existing = new Set([
+    ...(hubspotIds.length > 0 ? await getHubSpotTicketsByIds(hubspotIds) : []).map(ticket => `hubspot:${ticket.id}`),
+    ...(mondayIds.length > 0 ? await getMondayItemsByIds(mondayIds) : []).map(item => `monday:${item.id}`)
+  ]);
+  
+  const gone = expired.filter(tombstone => tombstone.counterpartRemoved ||
+    !existing.has(`${tombstone.source === 'hubspot' ? 'monday' : 'hubspot'}:${tombstone.counterpartId}`));
+  if (gone.length === 0) return;
+  
+  gone.forEach(({ source, recordId, counterpartId }) => {
+    unlinkRecords(source === 'hubspot' ? recordId : counterpartId, source === 'hubspot' ? counterpartId : recordId);
+  });
+  config.tombstones = config.tombstones.filter(tombstone => !gone.includes(tombstone));
+  logSync(`Forgot ${gone.length} deletion(s) handled more than ${TOMBSTONE_RETENTION_DAYS} days ago`, 'info');
+  persistState();
+}
+
+// ========== RECORD FILTERS ==========
+
+// Only records matching config.recordFilters are synced. A HubSpot rule names
+// a ticket property (hs_pipeline, hs_pipeline_stage, hs_ticket_priority, ...),
+// a Monday rule a column ID or 'group'. A rule matches when the record's
+// value is one of its values, compared case-insensitively against both the
+// raw value and its label, so pipelines, stages and groups can be given by
+// ID or by name.
+//
+// When one side of a linked pair stops matching, config.recordFilters.onMismatch
+// decides what happens:
+//   leave   - the pair stays linked but isn't synced until it matches again
+//   unlink  - the link is dropped and the counterpart left as is
+//   archive - the link is dropped and the counterpart archived (a HubSpot
+//             ticket is closed instead)
+// After unlink or archive the counterpart is detached: it is never synced or
+// paired again, so the filtered-out record isn't re-created from it. If the
+// filtered-out record matches again it is synced as a new record.
+const FILTER_MISMATCH_ACTIONS = ['leave', 'unlink', 'archive'];
+
+function ruleMatches(rule, candidates) {
+  return candidates.some(candidate =>
+    candidate !== undefined && candidate !== null &&
+    rule.values.some(value => value.toLowerCase() === String(candidate).toLowerCase()));
+}
+
+// The profile's pipeline and group count as one more rule each. Those are
+// IDs, so `exact` rules match their values as given.
+function getHubSpotFilterRules() {
+  const pipelineRule = config.hubspotPipeline ? [{ property: 'hs_pipeline', values: [config.hubspotPipeline], exact: true }] : [];
+  return [...pipelineRule, ...config.recordFilters.hubspot];
+}
+
+function getMondayFilterRules() {
+  const groupRule = config.mondayGroup ? [{ column: 'group', values: [config.mondayGroup], exact: true }] : [];
+  return [...groupRule, ...config.recordFilters.monday];
+}
+
+// IDs of the `choices` ({ id, label }) a rule names by ID or label
+function findRuleChoices(rule, choices) {
+  const wanted = rule.values.map(value => value.toLowerCase());
+  return choices
+    .filter(choice => wanted.includes(String(choice.id).toLowerCase()) || wanted.includes(String(choice.label).toLowerCase()))
+    .map(choice => choice.id);
+}
+
+// HubSpot allows this many filters in a search filter group
+const HUBSPOT_SEARCH_FILTERS = 6;
+
+// The rules HubSpot's search can apply for a full sync, so it fetches the
+// profile's tickets rather than the whole portal: exact rules, and rules on
+// properties with options (searched by option value). Other rules, and any
+// past the search's limit, are still applied by matchesHubSpotFilters.
+function buildHubSpotSearchFilters() {
+  const filters = [];
+  getHubSpotFilterRules().forEach(rule => {
+    const property = config.hubspotProperties.find(prop => prop.name === rule.property);
+    const values = rule.exact
+      ? rule.values
+      : findRuleChoices(rule, (property?.options || []).map(option => ({ id: option.value, label: option.label })));
+    if (values.length > 0) filters.push({ propertyName: rule.property, operator: 'IN', values });
+  });
+  return filters.slice(0, HUBSPOT_SEARCH_FILTERS);
+}
+
+// Label IDs of a status or dropdown column, which items_page filters compare by
+function getColumnLabelChoices(columnId) {
+  const column = config.mondayColumns.find(col => col.id === columnId);
+  if (!column?.settings || !['status', 'dropdown'].includes(column.type)) return [];
+  try {
+    const { labels } = JSON.parse(column.settings);
+    return Array.isArray(labels)
+      ? labels.map(label => ({ id: Number(label.id), label: label.name }))
+      : Object.entries(labels || {}).map(([id, label]) => ({ id: Number(id), label }));
+  } catch (error) {
+    return [];
+  }
+}
+
+// The same for Monday: group rules, and rules on status and dropdown columns,
+// as an items_page query; null when there's nothing to ask for
+async function buildMondayQueryParams() {
+  const rules = getMondayFilterRules();
+  const groups = rules.some(rule => rule.column === 'group' && !rule.exact) ? await fetchMondayGroups() : [];
+  const queryRules = [];
+  rules.forEach(rule => {
+    let values;
+    if (rule.exact) values = rule.values;
+    else if (rule.column === 'group') values = findRuleChoices(rule, groups.map(group => ({ id: group.id, label: group.title })));
+    else values = findRuleChoices(rule, getColumnLabelChoices(rule.column));
+    if (values.length > 0) queryRules.push({ column_id: rule.column, compare_value: values, operator: 'any_of' });
+  });
+  return queryRules.length > 0 ? { rules: queryRules, operator: 'and' } : null;
+}
+
+function matchesHubSpotFilters(ticket) {
+  return getHubSpotFilterRules().every(rule => {
+    const value = ticket.properties[rule.property];
+    const property = config.hubspotProperties.find(prop => prop.name === rule.property);
+    const option = property?.options.find(opt => opt.value === value);
+    return ruleMatches(rule, [value, option?.label]);
+  });
+}
+
+function matchesMondayFilters(item) {
+  // Items fetched by ID may be on another profile's board
+  if (item.board && String(item.board.id) !== String(config.mondayBoardId)) return false;
+  return getMondayFilterRules().every(rule => {
+    if (rule.column === 'group') return ruleMatches(rule, [item.group?.id, item.group?.title]);
+    const columnValue = item.column_values.find(col => col.id === rule.column);
+    return ruleMatches(rule, [columnValue?.text]);
+  });
+}
+
+// Property options are needed to match HubSpot rules given by label
+async function ensureFilterLabels() {
+  if (getHubSpotFilterRules().length > 0 && config.hubspotProperties.length === 0) {
+    await fetchHubSpotProperties();
+  }
+}
+
+function findFilteredPair(ticketId, itemId) {
+  return config.filteredOut.find(entry => entry.ticketId === String(ticketId) && entry.itemId === String(itemId));
+}
+
+// True for the counterpart of a record filtered out with unlink or archive
+function isDetached(source, recordId) {
+  recordId = String(recordId);
+  return config.filteredOut.some(entry => entry.action !== 'leave' &&
+    entry.source !== source &&
+    (source === 'hubspot' ? entry.ticketId : entry.itemId) === recordId);
+}
+
+// Checks a record about to be synced against the filters, together with its
+// linked counterpart if it has one. Returns false if the record should be
+// skipped; a linked pair that stopped matching is handled on the way.
+async function checkRecordFilters({ ticket, item, subject }, context) {
+  const ticketMatches = !ticket || matchesHubSpotFilters(ticket);
+  const itemMatches = !item || matchesMondayFilters(item);
+  const linked = ticket && item;
+  
+  if (ticketMatches && itemMatches) {
+    const entry = linked && findFilteredPair(ticket.id, item.id);
+    if (entry && !context.plan) {
+      config.filteredOut = config.filteredOut.filter(other => other !== entry);
+      logSync(`${describeRecord(entry.source, entry.source === 'hubspot' ? entry.ticketId : entry.itemId)} matches its filter again; syncing resumes`, 'info');
+      persistState();
+    }
+    return true;
+  }
+  if (!linked || findFilteredPair(ticket.id, item.id)) return false;
+  
+  const source = ticketMatches ? 'monday' : 'hubspot';
+  await handleFilterMismatch(source, String(ticket.id), String(item.id), subject, context);
+  return false;
+}
+
+// source is the side that stopped matching
+async function handleFilterMismatch(source, ticketId, itemId, subject, context) {
+  const action = config.recordFilters.onMismatch;
+  const record = describeRecord(source, source === 'hubspot' ? ticketId : itemId);
+  const counterpart = describeRecord(source === 'hubspot' ? 'monday' : 'hubspot', source === 'hubspot' ? itemId : ticketId);
+  
+  if (context.plan) {
+    addToPlan(context, { action: 'filter', ticketId, itemId, subject, note: `${record} no longer matches its filter; policy: ${action}` });
+    return;
+  }
+  
+  if (action === 'archive') {
+    await (source === 'hubspot' ? archiveMondayItem(itemId) : closeHubSpotTicket(ticketId));
+  }
+  if (action !== 'leave') unlinkRecords(ticketId, itemId);
+  config.filteredOut.unshift({ source, ticketId, itemId, subject, action, filteredAt: new Date().toISOString() });
+  
+  const outcome = {
+    leave: `syncing of it and ${counterpart} paused`,
+    unlink: `unlinked from ${counterpart}`,
+    archive: `unlinked and ${counterpart} ${source === 'hubspot' ? 'archived' : 'closed'}`
+  }[action];
+  logSync(`${record} no longer matches its filter: ${outcome}`, 'info');
+  persistState();
+}
+
+// "property = value, value" per line, as edited on the dashboard
+function formatFilterRules(rules, key) {
+  return rules.map(rule => `${rule[key]} = ${rule.values.join(', ')}`).join('\n');
+}
+
+function parseFilterRules(text, key) {
+  const rules = [];
+  (text || '').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf('=');
+    if (separator === -1) return;
+    const name = line.slice(0, separator).trim();
+    const values = line.slice(separator + 1).split(',').map(value => value.trim()).filter(Boolean);
+    if (name && values.length > 0) rules.push({ [key]: name, values });
+  });
+  return rules;
+}
+
+// ========== CONVERSATION SYNC ==========
+
+// Mirrors HubSpot notes on a linked ticket into Monday updates on its item
+// and vice versa. Each mirrored message is linked to its copy in the message
+// link table, so nothing is mirrored twice and copies never bounce back.
+// Only messages written after sync was switched on for the board are
+// mirrored. It is switched on per board, in config.conversationSync.
+
+function getConversationSettings() {
+  return config.conversationSync[config.mondayBoardId] || { enabled: false, since: null };
+}
+
+// "— Ann Smith in HubSpot, 10/19/2026, 9:14 AM" line above a mirrored message
+function formatAttribution(author, platform, createdAt) {
+  return `<p><em>— ${escapeHtml(author)} in ${platform}, ${new Date(createdAt).toLocaleString()}</em></p>`;
+}
+
+async function syncConversation(ticketId, itemId) {
+  const settings = getConversationSettings();
+  if (!settings.enabled) return;
+  
+  const since = Date.parse(settings.since) || 0;
+  const [notes, updates] = await Promise.all([getTicketNotes(ticketId), getItemUpdates(itemId)]);
+  
+  for (const note of notes) {
+    if (isMirroredMessage('note', note.id) || isAttachmentNote(note.id) || Date.parse(note.createdAt) < since) continue;
+    const owner = userDirectory.owners.find(entry => entry.id === String(note.ownerId));
+    const body = formatAttribution(owner ? owner.name : 'HubSpot user', 'HubSpot', note.createdAt) + note.body;
+    const update = await createMondayUpdate(itemId, body);
+    linkMessages(note.id, update.id);
+    logSync(`Mirrored HubSpot note ${note.id} on ticket ${ticketId} to Monday item ${itemId}`, 'info');
+  }
+  
+  for (const update of updates) {
+    if (isMirroredMessage('update', update.id) || Date.parse(update.createdAt) < since) continue;
+    const owner = update.creator && findOwnerForMondayUser(String(update.creator.id));
+    const author = update.creator ? update.creator.name : 'Monday.com user';
+    const body = formatAttribution(author, 'Monday.com', update.createdAt) + update.body;
+    const note = await createHubSpotNote(ticketId, body, owner && owner.id);
+    linkMessages(note.id, update.id);
+    logSync(`Mirrored Monday update ${update.id} on item ${itemId} to HubSpot ticket ${ticketId}`, 'info');
+  }
+}
+
+// ========== ATTACHMENTS ==========
+
+// Copies files attached to a ticket's notes into the item's configured file
+// column and files in that column back to the ticket (as a note carrying
+// the file). config.fileLinks remembers every file seen per ticket with its
+// content hash and its ID on each side, so each file is downloaded and
+// copied at most once, and a file already present on both sides is
+// recognized by its hash instead of being copied again.
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+// A file's content, or null when the download passed the size limit
+async function downloadWithinLimit(side, file) {
+  try {
+    return await side.download(file);
+  } catch (error) {
+    if (/^maxContentLength size of \d+ exceeded$/.test(error.message)) return null;
+    throw error;
+  }
+}
+
+// Notes we created to carry a copied file; not part of the conversation
+function isAttachmentNote(noteId) {
+  return config.fileLinks.some(link => link.hubspotNoteId === String(noteId));
+}
+
+async function syncAttachments(ticketId, itemId) {
+  const columnId = config.attachmentSync.mondayColumn;
+  if (!columnId) return;
+  
+  ticketId = String(ticketId);
+  const maxBytes = config.attachmentSync.maxSizeMb * 1024 * 1024;
+  const [hubspotFiles, mondayFiles] = await Promise.all([getTicketFiles(ticketId), getItemFiles(itemId, columnId)]);
+  const sides = [
+    { idKey: 'hubspotFileId', files: hubspotFiles, label: `HubSpot ticket ${ticketId}`, download: file => downloadHubSpotFile(file.id, maxBytes) },
+    { idKey: 'mondayAssetId', files: mondayFiles, label: `Monday item ${itemId}`, download: file => downloadMondayFile(file, maxBytes) }
+  ];
+  const downloaded = new Map();
+  let changed = false;
+  
+  // Hash every file not seen before, pairing files with the same content
+  for (const side of sides) {
+    for (const file of side.files) {
+      if (config.fileLinks.some(link => link.ticketId === ticketId && link[side.idKey] === file.id)) continue;
+      changed = true;
+      
+      // Listings can leave the size out, so the download enforces the limit too
+      const content = file.size > maxBytes ? null : await downloadWithinLimit(side, file);
+      if (!content) {
+        config.fileLinks.push({ ticketId, name: file.name, [side.idKey]: file.id, skipped: 'too large' });
+        const size = file.size > maxBytes ? ` (${formatFileSize(file.size)})` : '';
+        logSync(`Not copying ${file.name}${size} from ${side.label}: over the ${config.attachmentSync.maxSizeMb} MB limit`, 'warning');
+        continue;
+      }
+      
+      const hash = hashContent(content);
+      downloaded.set(`${side.idKey}:${file.id}`, content);
+      const sameContent = config.fileLinks.find(link => link.ticketId === ticketId && link.hash === hash);
+      if (!sameContent) {
+        config.fileLinks.push({ ticketId, name: file.name, hash, [side.idKey]: file.id });
+      } else if (!sameContent[side.idKey]) {
+        sameContent[side.idKey] = file.id;
+        logSync(`${file.name} is already on both ${side.label} and its counterpart; not copied`, 'info');
+      } else {
+        config.fileLinks.push({ ticketId, name: file.name, hash, [side.idKey]: file.id, skipped: 'duplicate' });
+        logSync(`Not copying ${file.name} from ${side.label}: same content as ${sameContent.name}`, 'info');
+      }
+    }
+  }
+  
+  // Copy files that are only on one side
+  for (const [side, otherSide] of [[sides[0], sides[1]], [sides[1], sides[0]]]) {
+    for (const file of side.files) {
+      const link = config.fileLinks.find(entry => entry.ticketId === ticketId && entry[side.idKey] === file.id);
+      if (!link || link.skipped || link[otherSide.idKey]) continue;
+      changed = true;
+      
+      const content = downloaded.get(`${side.idKey}:${file.id}`) || await side.download(file);
+      if (otherSide.idKey === 'mondayAssetId') {
+        link.mondayAssetId = await uploadMondayFile(itemId, columnId, file.name, content);
+      } else {
+        link.hubspotFileId = await uploadHubSpotFile(file.name, content);
+        const note = await createHubSpotNote(ticketId, `<p>Attachment from Monday.com: ${escapeHtml(file.name)}</p>`, null, [link.hubspotFileId]);
+        link.hubspotNoteId = String(note.id);
+      }
+      logSync(`Copied ${file.name} (${formatFileSize(content.length)}) from ${side.label} to ${otherSide.label}`, 'success');
+    }
+  }
+  
+  if (changed) persistState();
+}
+
+// Conversation and attachments of a linked pair. checkedPairs is shared by
+// both directions of one run, so each pair is only checked once per run.
+async function syncLinkedContent(ticketId, itemId, checkedPairs) {
+  const pairKey = `${ticketId}:${itemId}`;
+  if (checkedPairs.has(pairKey)) return;
+  checkedPairs.add(pairKey);
+  
+  await syncConversation(ticketId, itemId);
+  await syncAttachments(ticketId, itemId);
+}
+
+// ========== SYNC FUNCTIONS ==========
+
+// Built-in fields, keyed as in fieldRules/fieldMapping: `key` is the property
+// on the ticket/item data objects used below, `property` the HubSpot property.
+// The title maps to the item name rather than a column.
+const BUILT_IN_FIELDS = {
+  title: { key: 'subject', property: 'subject' },
+  description: { key: 'content', property: 'content' },
+  status: { key: 'status', property: 'hs_pipeline_stage' },
+  priority: { key: 'priority', property: 'hs_ticket_priority' },
+  assignee: { key: 'owner', property: 'hubspot_owner_id' }
+};
+
+// Every synced field as { field, key, property, column, rule }: the built-ins
+// (columns from fieldMapping, rules from fieldRules) followed by the custom
+// mapping rows, which are keyed by their HubSpot property name
+function getSyncedFields() {
+  const builtIn = Object.entries(BUILT_IN_FIELDS).map(([field, { key, property }]) => ({
+    field,
+    key,
+    property,
+    column: field === 'title' ? null : config.fieldMapping[field],
+    rule: config.fieldRules[field]
+  }));
+  const custom = config.customMappings.map(row => ({
+    field: row.hubspotProperty,
+    key: row.hubspotProperty,
+    property: row.hubspotProperty,
+    column: row.mondayColumn,
+    rule: row.rule
+  }));
+  return [...builtIn, ...custom];
+}
+
+// Delta syncs re-read this much before the last high-water mark so changes
+// racing a previous run (or clock skew between us and the APIs) aren't missed
+const DELTA_OVERLAP_MS = 60 * 1000;
+
+function readTicketData(ticket) {
+  const data = {};
+  getSyncedFields().forEach(({ key, property }) => {
+    data[key] = ticket.properties[property];
+  });
+  return data;
+}
+
+// HubSpot value → Monday value for fields that need translating: owners via
+// the user directory, stages/priorities via value maps. undefined means the
+// value has no counterpart and the field should be skipped.
+function translateToMonday(field, value) {
+  if (field === 'assignee') return toMondayUserId(value);
+  if (config.valueMaps[field]) return toMondayLabel(field, value);
+  return value;
+}
+
+// pipelineId: the pipeline of the ticket the value is for, see getTicketPipeline
+function translateToHubSpot(field, value, pipelineId) {
+  if (field === 'assignee') return toHubSpotOwnerId(value);
+  if (config.valueMaps[field]) return toHubSpotValue(field, value, pipelineId);
+  return value;
+}
+
+// Decoded value of `field`'s column, translated back into a HubSpot value
+function readMappedColumn(item, field, columnId, pipelineId) {
+  const columnValue = item.column_values.find(col => col.id === columnId);
+  const value = decodeColumnValue(columnValue);
+  return value ? translateToHubSpot(field, value, pipelineId) : value;
+}
+
+// ticket: the item's HubSpot counterpart, if it has one yet
+function readItemData(item, ticket) {
+  const data = { subject: item.name };
+  const pipelineId = getTicketPipeline(ticket);
+  // An untranslatable value stays undefined so the field gets skipped
+  getSyncedFields().forEach(({ field, key, column }) => {
+    if (!column) return;
+    const value = readMappedColumn(item, field, column, pipelineId);
+    data[key] = value === null ? '' : value;
+  });
+  
+  // An empty status or priority has no HubSpot value to send, so it's
+  // skipped rather than clearing the ticket's stage or priority
+  if (!data.content) data.content = '';
+  if (data.status === '') data.status = undefined;
+  if (data.priority === '') data.priority = undefined;
+  return data;
+}
+
+// Fields to copy from `source` ('hubspot' or 'monday') to the other side of
+// a linked pair. ticketData and itemData are both in HubSpot terms.
+// dryRun: compute the changes without recording agreed values or conflicts
+async function diffFields(ticketData, itemData, source, { ticketId, itemId, dryRun = false }) {
+  const sourceData = source === 'hubspot' ? ticketData : itemData;
+  const targetData = source === 'hubspot' ? itemData : ticketData;
+  const changes = {};
+  const agreed = {};
+  
+  for (const { field, key, property, column, rule } of getSyncedFields()) {
+    if (rule !== source && rule !== 'both') continue;
+    // undefined means the source value couldn't be read or translated
+    if (sourceData[key] === undefined) continue;
+    // Don't overwrite a HubSpot value Monday has no counterpart for (e.g. an
+    // owner without a Monday user): Monday never saw it, so it can't have changed it
+    if (source === 'monday' && targetData[key] && translateToMonday(field, targetData[key]) === undefined) continue;
+    
+    if (sameValue(sourceData[key], targetData[key])) {
+      agreed[key] = sourceData[key];
+      continue;
+    }
+    if (rule === 'both') {
+      const winner = await resolveBothField({
+        ticketId, itemId, field, key, property, column,
+        hubspotValue: ticketData[key],
+        mondayValue: itemData[key],
+        dryRun
+      });
+      if (winner !== source) continue;
+    }
+    changes[key] = sourceData[key];
+  }
+  
+  if (!dryRun) recordSyncedValues(ticketId, agreed);
+  return changes;
+}
+
+function nextHighWaterMark(startedAt) {
+  return new Date(startedAt - DELTA_OVERLAP_MS).toISOString();
+}
+
+// Monday items a run over only some tickets needs: the linked counterparts,
+// plus same-name items for unlinked tickets so those get linked by subject
+// rather than duplicated
+async function getMondayCounterparts(tickets) {
+  const linkedItemIds = [];
+  const unlinkedSubjects = [];
+  tickets.forEach(ticket => {
+    const itemId = getLinkedItemId(ticket.id);
+    if (itemId) linkedItemIds.push(itemId);
+    else unlinkedSubjects.push(ticket.properties.subject);
+  });
+  return [...await getMondayItemsByIds(linkedItemIds), ...await getMondayItemsByNames(unlinkedSubjects)];
+}
+
+// A full run fetches only the items matching the filters. Linked items that
+// stopped matching are fetched by ID, so their pairs are handled as
+// filtered out rather than taken for deleted. A pair where both sides stopped
+// matching isn't fetched at all, and stays as it is.
+async function addLinkedMondayItems(tickets, mondayItems) {
+  const fetched = new Set(mondayItems.map(item => String(item.id)));
+  const missing = tickets.map(ticket => getLinkedItemId(ticket.id)).filter(itemId => itemId && !fetched.has(itemId));
+  return [...mondayItems, ...await getMondayItemsByIds(missing)];
+}
+
+async function addLinkedHubSpotTickets(items, hubspotTickets) {
+  const fetched = new Set(hubspotTickets.map(ticket => String(ticket.id)));
+  const missing = items.map(item => getLinkedTicketId(item.id)).filter(ticketId => ticketId && !fetched.has(ticketId));
+  return [...hubspotTickets, ...await getHubSpotTicketsByIds(missing)];
+}
+
+// HubSpot tickets a run over only some items needs, see getMondayCounterparts
+async function getHubSpotCounterparts(items) {
+  const linkedTicketIds = [];
+  const unlinkedNames = [];
+  items.forEach(item => {
+    const ticketId = getLinkedTicketId(item.id);
+    if (ticketId) linkedTicketIds.push(ticketId);
+    else unlinkedNames.push(item.name);
+  });
+  return [...await getHubSpotTicketsByIds(linkedTicketIds), ...await getHubSpotTicketsBySubjects(unlinkedNames)];
+}
+
+// Lookup tables for one HubSpot → Monday run over the given Monday items
+function createMondayContext(mondayItems) {
+  const context = {
+    mondayById: new Map(),
+    // Items not yet linked to a ticket, by name, used only for first-time linking
+    unlinkedByName: new Map(),
+    created: 0,
+    updated: 0,
+    failed: 0,
+    // Pairs whose conversation and attachments were already synced this run
+    checkedPairs: new Set()
+  };
+  mondayItems.forEach(item => {
+    context.mondayById.set(String(item.id), item);
+    if (!getLinkedTicketId(item.id) && !isDetached('monday', item.id) && matchesMondayFilters(item) &&
+        !context.unlinkedByName.has(item.name)) {
+      context.unlinkedByName.set(item.name, item);
+    }
+  });
+  return context;
+}
+
+// Lookup tables for one Monday → HubSpot run over the given tickets
+function createHubSpotContext(hubspotTickets) {
+  const context = {
+    hubspotById: new Map(),
+    // Tickets not yet linked to an item, by subject, used only for first-time linking
+    unlinkedBySubject: new Map(),
+    created: 0,
+    updated: 0,
+    failed: 0,
+    // Pairs whose conversation and attachments were already synced this run
+    checkedPairs: new Set()
+  };
+  hubspotTickets.forEach(ticket => {
+    context.hubspotById.set(String(ticket.id), ticket);
+    if (!getLinkedItemId(ticket.id) && !isDetached('hubspot', ticket.id) && matchesHubSpotFilters(ticket) &&
+        !context.unlinkedBySubject.has(ticket.properties.subject)) {
+      context.unlinkedBySubject.set(ticket.properties.subject, ticket);
+    }
+  });
+  return context;
+}
+
+// Dry runs set context.plan and collect what a real run would do there
+// instead of doing it. Entries: { action: 'create' | 'update' | 'link' |
+// 'error' | 'deletion' | 'filter', ticketId, itemId, subject, values,
+// changes: [{ field, from, to }], note }
+function addToPlan(context, entry) {
+  context.plan.push(entry);
+  if (entry.action === 'create') context.created++;
+  if (entry.action === 'update') context.updated++;
+  if (entry.action === 'error') context.failed++;
+}
+
+function describeChanges(changes, currentData) {
+  return Object.keys(changes).map(key => ({ field: key, from: currentData[key] ?? '', to: changes[key] }));
+}
+
+// An existing record shows up in the plan if fields would change or if it
+// would be linked to its counterpart by subject for the first time
+function planUpdate(context, entry, changes, currentData) {
+  if (Object.keys(changes).length > 0) {
+    addToPlan(context, { action: 'update', ...entry, changes: describeChanges(changes, currentData) });
+  } else if (entry.linkedBySubject) {
+    addToPlan(context, { action: 'link', ...entry });
+  }
+}
+
+// Non-empty fields of a record about to be created
+function describeValues(data) {
+  const values = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') values[key] = value;
+  });
+  return values;
+}
+
+function summarizePlan(context, recordCount) {
+  return {
+    created: context.created,
+    updated: context.updated,
+    failed: context.failed,
+    unchanged: recordCount - context.plan.length,
+    records: context.plan
+  };
+}
+
+// Sync one record without letting its failure end the run: failures go to
+// the dead letters, successes clear any earlier failure
+async function syncRecordSafely(source, record, context) {
+  const isTicket = source === 'hubspot';
+  try {
+    await (isTicket ? syncTicket(record, context) : syncItem(record, context));
+    if (!context.plan) clearDeadLetter(source, record.id, 'synced');
+  } catch (error) {
+    if (context.plan) {
+      addToPlan(context, {
+        action: 'error',
+        [isTicket ? 'ticketId' : 'itemId']: String(record.id),
+        subject: isTicket ? record.properties.subject : record.name,
+        error: error.message
+      });
+      return;
+    }
+    context.failed++;
+    recordDeadLetter(source, record.id, {
+      label: isTicket ? record.properties.subject : record.name,
+      payload: isTicket ? record.properties : { name: record.name, column_values: record.column_values }
+    }, error);
+  }
+}
+
+// Create or update the Monday counterpart of one ticket
+async function syncTicket(ticket, context) {
+  const ticketData = readTicketData(ticket);
+  if (!ownsLink(ticket.id)) return;
+  if (!context.plan) noteReappearance('hubspot', ticket.id);
+  if (isDetached('hubspot', ticket.id)) return;
+  
+  const linkedItemId = getLinkedItemId(ticket.id);
+  let existingItem = context.mondayById.get(linkedItemId);
+  let linkedBySubject = false;
+  
+  // The linked item was deleted or archived: never re-create it
+  if (linkedItemId && !existingItem) {
+    if (context.plan && !findTombstone('monday', linkedItemId)) {
+      addToPlan(context, { action: 'deletion', ticketId: String(ticket.id), itemId: linkedItemId, subject: ticketData.subject, note: `Monday item is gone; deletion policy: ${config.deletion.mondayToHubspot}` });
+    } else if (!context.plan) {
+      noteDeletion('monday', linkedItemId, ticket.id, 'sync');
+    }
+    return;
+  }
+  if (!(await checkRecordFilters({ ticket, item: existingItem, subject: ticketData.subject }, context))) return;
+  
+  if (!existingItem && context.unlinkedByName.has(ticketData.subject)) {
+    existingItem = context.unlinkedByName.get(ticketData.subject);
+    context.unlinkedByName.delete(ticketData.subject);
+    linkedBySubject = true;
+    if (!context.plan) {
+      linkRecords(ticket.id, existingItem.id);
+      logSync(`Linked HubSpot ticket ${ticket.id} to Monday item ${existingItem.id} by subject`, 'info');
+    }
+  }
+  
+  if (!existingItem) {
+    if (context.plan) {
+      addToPlan(context, { action: 'create', ticketId: String(ticket.id), itemId: null, subject: ticketData.subject, values: describeValues(ticketData) });
+      return;
+    }
+    // New item - create with all fields
+    const item = await createMondayItem(ticketData);
+    linkRecords(ticket.id, item.id);
+    context.created++;
+    logSync(`Created Monday item: ${ticketData.subject}`, 'success');
+    await syncLinkedContent(ticket.id, item.id, context.checkedPairs);
+  } else {
+    // Existing item - only update fields HubSpot owns that actually differ
+    const itemData = readItemData(existingItem, ticket);
+    const updateData = await diffFields(ticketData, itemData, 'hubspot', {
+      ticketId: ticket.id,
+      itemId: existingItem.id,
+      dryRun: Boolean(context.plan)
+    });
+    
+    if (context.plan) {
+      planUpdate(context, { ticketId: String(ticket.id), itemId: String(existingItem.id), subject: ticketData.subject, linkedBySubject }, updateData, itemData);
+      return;
+    }
+    if (Object.keys(updateData).length > 0) {
+      await updateMondayItem(existingItem.id, updateData);
+      recordSyncedValues(ticket.id, updateData);
+      context.updated++;
+      logSync(`Updated Monday item: ${ticketData.subject} (${Object.keys(updateData).join(', ')})`, 'info');
+    }
+    await syncLinkedContent(ticket.id, existingItem.id, context.checkedPairs);
+  }
+}
+
+// Create or update the HubSpot counterpart of one item
+async function syncItem(item, context) {
+  let itemData = readItemData(item);
+  const linkedTicketId = getLinkedTicketId(item.id);
+  if (linkedTicketId && !ownsLink(linkedTicketId)) return;
+  if (!context.plan) noteReappearance('monday', item.id);
+  if (isDetached('monday', item.id)) return;
+  
+  let existingTicket = context.hubspotById.get(linkedTicketId);
+  let linkedBySubject = false;
+  
+  // The linked ticket was deleted: never re-create it
+  if (linkedTicketId && !existingTicket) {
+    if (context.plan && !findTombstone('hubspot', linkedTicketId)) {
+      addToPlan(context, { action: 'deletion', ticketId: linkedTicketId, itemId: String(item.id), subject: itemData.subject, note: `HubSpot ticket is gone; deletion policy: ${config.deletion.hubspotToMonday}` });
+    } else if (!context.plan) {
+      noteDeletion('hubspot', linkedTicketId, item.id, 'sync');
+    }
+    return;
+  }
+  if (!(await checkRecordFilters({ ticket: existingTicket, item, subject: itemData.subject }, context))) return;
+  
+  if (!existingTicket && context.unlinkedBySubject.has(itemData.subject)) {
+    existingTicket = context.unlinkedBySubject.get(itemData.subject);
+    context.unlinkedBySubject.delete(itemData.subject);
+    linkedBySubject = true;
+    if (!context.plan) {
+      linkRecords(existingTicket.id, item.id);
+      logSync(`Linked Monday item ${item.id} to HubSpot ticket ${existingTicket.id} by name`, 'info');
+    }
+  }
+  
+  if (!existingTicket) {
+    if (context.plan) {
+      addToPlan(context, { action: 'create', ticketId: null, itemId: String(item.id), subject: itemData.subject, values: describeValues(itemData) });
+      return;
+    }
+    // New ticket - create with all fields
+    const ticket = await createHubSpotTicket(itemData);
+    linkRecords(ticket.id, item.id);
+    context.created++;
+    logSync(`Created HubSpot ticket: ${itemData.subject}`, 'success');
+    await syncLinkedContent(ticket.id, item.id, context.checkedPairs);
+  } else {
+    // Existing ticket - only update fields Monday owns that actually differ
+    const ticketData = readTicketData(existingTicket);
+    itemData = readItemData(item, existingTicket);
+    const updateData = await diffFields(ticketData, itemData, 'monday', {
+      ticketId: existingTicket.id,
+      itemId: item.id,
+      dryRun: Boolean(context.plan)
+    });
+    
+    if (context.plan) {
+      planUpdate(context, { ticketId: String(existingTicket.id), itemId: String(item.id), subject: itemData.subject, linkedBySubject }, updateData, ticketData);
+      return;
+    }
+    if (Object.keys(updateData).length > 0) {
+      await updateHubSpotTicket(existingTicket.id, updateData);
+      recordSyncedValues(existingTicket.id, updateData);
+      context.updated++;
+      logSync(`Updated HubSpot ticket: ${itemData.subject} (${Object.keys(updateData).join(', ')})`, 'info');
+    }
+    await syncLinkedContent(existingTicket.id, item.id, context.checkedPairs);
+  }
+}
+
+// options.incremental: only process records modified since the last run in
+// this direction. Falls back to a full reconcile when there is no mark yet.
+// options.dryRun: reconcile everything without writing anything (not even
+// while sync is disabled) and return the plan, see addToPlan
+// options.checkedPairs: shared with the other direction's run, see syncLinkedContent
+// Outside dry runs, returns { fetched, created, updated, failed } or { error }
+// (errors are logged, not thrown), or { skipped } while sync is disabled
+async function syncHubSpotToMonday(options = {}) {
+  if (!config.syncEnabled && !options.dryRun) return { skipped: 'sync is disabled' };
+  
+  const startedAt = Date.now();
+  const since = options.incremental && !options.dryRun ? config.syncCursors.hubspotToMonday : null;
+  
+  try {
+    await ensureMondayColumns();
+    await ensureFilterLabels();
+    await refreshUserDirectory();
+    let tickets;
+    let mondayItems;
+    if (since) {
+      logSync(`Starting HubSpot → Monday.com delta sync (changes since ${since})...`, 'info');
+      tickets = await getHubSpotTicketsModifiedSince(since);
+      tickets = await addDeadLetterRetries('hubspot', tickets, getHubSpotTicketsByIds);
+      mondayItems = await getMondayCounterparts(tickets);
+    } else {
+      logSync(`Starting HubSpot → Monday.com ${options.dryRun ? 'dry run' : 'sync'}...`, 'info');
+      tickets = await getHubSpotTickets();
+      mondayItems = await addLinkedMondayItems(tickets, await getMatchingMondayItems());
+    }
+    
+    const context = createMondayContext(mondayItems);
+    if (options.dryRun) context.plan = [];
+    if (options.checkedPairs) context.checkedPairs = options.checkedPairs;
+    for (const ticket of tickets) {
+      await syncRecordSafely('hubspot', ticket, context);
+    }
+    
+    if (options.dryRun) {
+      logSync(`HubSpot → Monday dry run complete: ${context.created} would be created, ${context.updated} updated`, 'info');
+      return summarizePlan(context, tickets.length);
+    }
+    
+    logSync(`HubSpot → Monday sync complete: ${context.created} created, ${context.updated} updated${context.failed ? `, ${context.failed} failed` : ''}`, context.failed ? 'warning' : 'success');
+    config.lastSync = new Date().toISOString();
+    config.syncCursors.hubspotToMonday = nextHighWaterMark(startedAt);
+    return { fetched: tickets.length, created: context.created, updated: context.updated, failed: context.failed };
+  } catch (error) {
+    logSync(`${options.dryRun ? 'Dry run' : 'Sync'} failed: ${error.message}`, 'error');
+    if (options.dryRun) throw error;
+    return { error: error.message };
+  }
+}
+
+// Returns the same as syncHubSpotToMonday
+async function syncMondayToHubSpot(options = {}) {
+  if (!config.syncEnabled && !options.dryRun) return { skipped: 'sync is disabled' };
+  
+  const startedAt = Date.now();
+  const since = options.incremental && !options.dryRun ? config.syncCursors.mondayToHubspot : null;
+  
+  try {
+    await ensureMondayColumns();
+    await ensureFilterLabels();
+    await refreshUserDirectory();
+    let mondayItems;
+    let hubspotTickets;
+    if (since) {
+      logSync(`Starting Monday.com → HubSpot delta sync (changes since ${since})...`, 'info');
+      mondayItems = await getMondayItemsUpdatedSince(since);
+      mondayItems = await addDeadLetterRetries('monday', mondayItems, getMondayItemsByIds);
+      hubspotTickets = await getHubSpotCounterparts(mondayItems);
+    } else {
+      logSync(`Starting Monday.com → HubSpot ${options.dryRun ? 'dry run' : 'sync'}...`, 'info');
+      mondayItems = await getMatchingMondayItems();
+      hubspotTickets = await addLinkedHubSpotTickets(mondayItems, await getHubSpotTickets());
+    }
+    
+    const context = createHubSpotContext(hubspotTickets);
+    if (options.dryRun) context.plan = [];
+    if (options.checkedPairs) context.checkedPairs = options.checkedPairs;
+    for (const item of mondayItems) {
+      await syncRecordSafely('monday', item, context);
+    }
+    
+    if (options.dryRun) {
+      logSync(`Monday → HubSpot dry run complete: ${context.created} would be created, ${context.updated} updated`, 'info');
+      return summarizePlan(context, mondayItems.length);
+    }
+    
+    logSync(`Monday → HubSpot sync complete: ${context.created} created, ${context.updated} updated${context.failed ? `, ${context.failed} failed` : ''}`, context.failed ? 'warning' : 'success');
+    config.lastSync = new Date().toISOString();
+    config.syncCursors.mondayToHubspot = nextHighWaterMark(startedAt);
+    return { fetched: mondayItems.length, created: context.created, updated: context.updated, failed: context.failed };
+  } catch (error) {
+    logSync(`${options.dryRun ? 'Dry run' : 'Sync'} failed: ${error.message}`, 'error');
+    if (options.dryRun) throw error;
+    return { error: error.message };
+  }
+}
+
+// Targeted sync of a single ticket, e.g. from a webhook event
+async function syncHubSpotTicketById(ticketId) {
+  if (!config.syncEnabled) return;
+  
+  try {
+    await ensureMondayColumns();
+    await ensureFilterLabels();
+    await refreshUserDirectory();
+    const [ticket] = await getHubSpotTicketsByIds([ticketId]);
+    if (!ticket) {
+      logSync(`HubSpot ticket ${ticketId} not found; nothing to sync`, 'warning');
+      clearDeadLetter('hubspot', ticketId, 'it no longer exists');
+      return;
+    }
+    const mondayItems = await getMondayCounterparts([ticket]);
+    await syncRecordSafely('hubspot', ticket, createMondayContext(mondayItems));
+  } catch (error) {
+    logSync(`Sync of HubSpot ticket ${ticketId} failed: ${error.message}`, 'error');
+  }
+}
+
+// Targeted sync of a single item, e.g. from a webhook event
+async function syncMondayItemById(itemId) {
+  if (!config.syncEnabled) return;
+  
+  try {
+    await ensureMondayColumns();
+    await ensureFilterLabels();
+    await refreshUserDirectory();
+    const [item] = await getMondayItemsByIds([itemId]);
+    if (!item) {
+      logSync(`Monday item ${itemId} not found; nothing to sync`, 'warning');
+      clearDeadLetter('monday', itemId, 'it no longer exists');
+      return;
+    }
+    const hubspotTickets = await getHubSpotCounterparts([item]);
+    await syncRecordSafely('monday', item, createHubSpotContext(hubspotTickets));
+  } catch (error) {
+    logSync(`Sync of Monday item ${itemId} failed: ${error.message}`, 'error');
+  }
+}
+
+// Targeted sync of one record in the profile its pair belongs to. A record
+// that isn't linked yet is offered to every profile in turn; those whose
+// pipeline, board or filters it doesn't match skip it.
+async function syncRecordInProfiles(source, recordId) {
+  const ticketId = source === 'hubspot' ? recordId : getLinkedTicketId(recordId);
+  const owner = ticketId && linkProfiles.get(String(ticketId));
+  const names = owner && config.profiles[owner] ? [owner] : Object.keys(config.profiles);
+  for (const name of names) {
+    await runInProfile(name, () => (source === 'hubspot' ? syncHubSpotTicketById(recordId) : syncMondayItemById(recordId)));
+  }
+}
+
+// Full reconcile: compares every ticket with every item. Returns each
+// direction's result.
+async function performFullSync() {
+  const checkedPairs = new Set();
+  const hubspotToMonday = await syncHubSpotToMonday({ checkedPairs });
+  const mondayToHubspot = await syncMondayToHubSpot({ checkedPairs });
+  if (config.syncEnabled) await propagateDeletions();
+  return { hubspotToMonday, mondayToHubspot };
+}
+
+// What a full sync would do, without doing any of it. direction is 'both',
+// 'hubspot-to-monday' or 'monday-to-hubspot'.
+const PREVIEW_DIRECTIONS = ['both', 'hubspot-to-monday', 'monday-to-hubspot'];
+
+async function previewSync(direction = 'both') {
+  const preview = { direction, generatedAt: new Date().toISOString() };
+  if (direction !== 'monday-to-hubspot') {
+    preview.hubspotToMonday = await syncHubSpotToMonday({ dryRun: true });
+  }
+  if (direction !== 'hubspot-to-monday') {
+    preview.mondayToHubspot = await syncMondayToHubSpot({ dryRun: true });
+  }
+  return preview;
+}
+
+// Delta sync: only records changed since each direction's high-water mark
+async function performIncrementalSync() {
+  const checkedPairs = new Set();
+  const hubspotToMonday = await syncHubSpotToMonday({ incremental: true, checkedPairs });
+  const mondayToHubspot = await syncMondayToHubSpot({ incremental: true, checkedPairs });
+  if (config.syncEnabled) await propagateDeletions();
+  return { hubspotToMonday, mondayToHubspot };
+}
+
+// ========== SYNC QUEUE ==========
+
+// Every sync run goes through one queue so runs never overlap: overlapping
+// runs each fetch the same "missing" records and create duplicates.
+//
+// The queue holds a lock while a job runs. A lock adapter exposes one method:
+//   acquire(name) → resolves with a release function once the lock is held
+// The in-process lock only serializes this instance. To run several instances
+// against one board, add a file- or database-backed factory to lockAdapters
+// and select it via SYNC_LOCK_ADAPTER.
+function createInProcessLock() {
+  const tails = new Map();
+  return {
+    name: 'in-process',
+    async acquire(name) {
+      const previous = tails.get(name) || Promise.resolve();
+      let release;
+      const held = new Promise(resolve => { release = resolve; });
+      const tail = previous.then(() => held);
+      tails.set(name, tail);
+      await previous;
+      return () => {
+        if (tails.get(name) === tail) tails.delete(name);
+        release();
+      };
+    }
+  };
+}
+
+const lockAdapters = {
+  'in-process': () => createInProcessLock()
+};
+
+const lockAdapterName = process.env.SYNC_LOCK_ADAPTER || 'in-process';
+if (!lockAdapters[lockAdapterName]) {
+  throw new Error(`Unknown SYNC_LOCK_ADAPTER "${lockAdapterName}" (available: ${Object.keys(lockAdapters).join(', ')})`);
+}
+const syncLock = lockAdapters[lockAdapterName]();
+
+// Full and delta syncs and previews run in one profile. Record syncs find
+// their own, see syncRecordInProfiles. Previews go through the queue too, so
+// they never read records halfway through a sync.
+const SYNC_JOB_TYPES = {
+  full: { label: () => 'Full sync', run: () => performFullSync() },
+  incremental: { label: () => 'Delta sync', run: () => performIncrementalSync() },
+  preview: { label: job => `Preview (${job.direction})`, run: job => previewSync(job.direction) },
+  hubspotTicket: { label: job => `HubSpot ticket ${job.recordId}`, run: job => syncRecordInProfiles('hubspot', job.recordId) },
+  mondayItem: { label: job => `Monday item ${job.recordId}`, run: job => syncRecordInProfiles('monday', job.recordId) }
+};
+
+// Finished jobs are kept for a while so their results can be looked up
+const FINISHED_JOBS_KEPT = 50;
+
+const syncQueue = {
+  queued: [],
+  running: null,
+  finished: [],
+  nextJobId: 1
+};
+
+// A queued job that already covers the requested one: the same job, or a
+// full sync of the same profile when a delta sync is requested. Running jobs
+// never count, since they may have fetched their records before the change
+// that prompted this.
+function findCoveringJob(type, key, profile) {
+  return syncQueue.queued.find(job => job.key === key ||
+    (type === 'incremental' && job.type === 'full' && job.profile === profile));
+}
+
+// Queue a sync job. Full and delta syncs and previews run in `profile`, by
+// default the one the caller runs in; previews also take a direction. Returns
+// the job, or the queued job it was merged into; job.done settles once it has
+// run.
+function queueSyncJob(type, { recordId = null, direction = null, trigger = 'manual', profile = currentProfile().name } = {}) {
+  if (recordId) profile = null;
+  const key = recordId ? `${type}:${recordId}` : `${profile}:${type}` + (direction ? `:${direction}` : '');
+  const covering = findCoveringJob(type, key, profile);
+  if (covering) {
+    if (!covering.triggers.includes(trigger)) covering.triggers.push(trigger);
+    return covering;
+  }
+  
+  const job = {
+    id: syncQueue.nextJobId++,
+    type,
+    key,
+    recordId,
+    direction,
+    profile,
+    label: null,
+    triggers: [trigger],
+    status: 'queued',
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null
+  };
+  job.label = SYNC_JOB_TYPES[type].label(job) + (profile && Object.keys(config.profiles).length > 1 ? ` (${profile})` : '');
+  job.done = new Promise(resolve => { job.finish = resolve; });
+  syncQueue.queued.push(job);
+  drainSyncQueue();
+  return job;
+}
+
+// Like queueSyncJob, but returns the promise that settles once the job has run
+function enqueueSyncJob(type, options) {
+  return queueSyncJob(type, options).done;
+}
 
-async function mondayQuery(query, variables = {}) {
-  try {
-    const response = await axios.post('https://api.monday.com/v2', {
-      query,
-      variables
-    }, {
-      headers: {
-        'Authorization': config.mondayToken,
-        'Content-Type': 'application/json'
-      }
-    });
+// Runs a preview in the queue and resolves with it. Concurrent requests for
+// the same preview share one queued job.
+async function queuePreview(direction, trigger) {
+  const job = queueSyncJob('preview', { direction, trigger });
+  await job.done;
+  if (!job.result) throw new Error(job.error);
+  return job.result;
+}
+
+function findSyncJob(id) {
+  return [syncQueue.running, ...syncQueue.queued, ...syncQueue.finished].find(job => job && job.id === id);
+}
+
+// A job without its internals, e.g. for the API
+function describeSyncJob(job) {
+  const { done, finish, key, ...description } = job;
+  return description;
+}
+
+async function drainSyncQueue() {
+  if (syncQueue.running) return;
+  
+  while (syncQueue.queued.length > 0) {
+    const job = syncQueue.queued.shift();
+    syncQueue.running = job;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
     
-    if (response.data.errors) {
-      throw new Error(response.data.errors[0].message);
+    let release;
+    try {
+      release = await syncLock.acquire('sync');
+      const run = () => SYNC_JOB_TYPES[job.type].run(job);
+      if (!job.profile) {
+        job.result = (await run()) ?? null;
+      } else if (config.profiles[job.profile]) {
+        job.result = (await runInProfile(job.profile, run)) ?? null;
+      } else {
+        job.error = `profile "${job.profile}" no longer exists`;
+      }
+      // Sync runs log their own errors; a direction that failed fails the job
+      const errors = Object.values(job.result || {}).map(result => result?.error).filter(Boolean);
+      if (errors.length > 0) job.error = errors.join('; ');
+    } catch (error) {
+      job.error = error.message;
+      logSync(`Sync job "${job.label}" failed: ${error.message}`, 'error');
+    } finally {
+      if (release) await release();
+      job.status = job.error ? 'failed' : 'succeeded';
+      job.finishedAt = new Date().toISOString();
+      syncQueue.running = null;
+      syncQueue.finished.unshift(job);
+      if (syncQueue.finished.length > FINISHED_JOBS_KEPT) syncQueue.finished.pop();
+      job.finish();
     }
+  }
+}
+
+// ========== WEBHOOK VERIFICATION ==========
+
+// HubSpot rejects its own signatures older than 5 minutes; so do we
+const WEBHOOK_MAX_AGE_MS = 5 * 60 * 1000;
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// HubSpot signs the URI with these characters decoded, and only these
+const HUBSPOT_DECODED_URI_CHARACTERS = /%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi;
+
+// HubSpot v3 signatures: base64 HMAC-SHA256 of method + full URI + raw body +
+// timestamp, keyed with the app's client secret. Returns why the request is
+// rejected, or null if it is authentic.
+function verifyHubSpotSignature(req) {
+  const secret = process.env.HUBSPOT_CLIENT_SECRET;
+  if (!secret) return 'HUBSPOT_CLIENT_SECRET is not configured';
+  
+  const signature = req.get('X-HubSpot-Signature-v3');
+  const timestamp = req.get('X-HubSpot-Request-Timestamp');
+  if (!signature || !timestamp) return 'missing signature headers';
+  if (Math.abs(Date.now() - Number(timestamp)) > WEBHOOK_MAX_AGE_MS) return 'timestamp outside the allowed window';
+  
+  // Behind a proxy the public URL HubSpot called differs from what we see
+  const baseUrl = process.env.PUBLIC_URL
+    ? process.env.PUBLIC_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  const uri = `${baseUrl}${req.originalUrl}`.replace(HUBSPOT_DECODED_URI_CHARACTERS, match => decodeURIComponent(match));
+  const source = `${req.method}${uri}${req.rawBody || ''}${timestamp}`;
+  const expected = crypto.createHmac('sha256', secret).update(source).digest('base64');
+  
+  return safeEqual(signature, expected) ? null : 'signature mismatch';
+}
+
+function decodeBase64Url(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+// Monday signs webhook requests with an HS256 JWT in the Authorization
+// header, keyed with the app's signing secret
+function verifyMondayJwt(req) {
+  const secret = process.env.MONDAY_SIGNING_SECRET;
+  if (!secret) return 'MONDAY_SIGNING_SECRET is not configured';
+  
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return 'missing or malformed JWT';
+  
+  try {
+    if (JSON.parse(decodeBase64Url(header).toString('utf8')).alg !== 'HS256') return 'unsupported JWT algorithm';
+    const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+    const actual = decodeBase64Url(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return 'signature mismatch';
     
-    return response.data.data;
+    const claims = JSON.parse(decodeBase64Url(payload).toString('utf8'));
+    if (claims.exp && claims.exp * 1000 < Date.now()) return 'JWT expired';
   } catch (error) {
-    logSync(`Monday.com API error: ${error.message}`, 'error');
-    throw error;
+    return 'malformed JWT';
   }
+  return null;
 }
 
-async function getMondayItems() {
-  const query = `
-    query ($boardId: ID!) {
-      boards(ids: [$boardId]) {
-        items_page {
-          items {
-            id
-            name
-            column_values {
-              id
-              text
-              value
-            }
-          }
-        }
-      }
-    }
-  `;
-  
-  const data = await mondayQuery(query, { boardId: config.mondayBoardId });
-  return data.boards[0]?.items_page?.items || [];
+// ========== ECHO SUPPRESSION ==========
+
+// Our own writes come straight back as webhook events. syncState remembers
+// what was written to each record ('hubspot:<ticketId>' / 'monday:<itemId>')
+// and when, so those events can be dropped instead of triggering a sync.
+const ECHO_WINDOW_MS = 2 * 60 * 1000;
+// Allowance for the other system's clock running behind ours
+const ECHO_CLOCK_SKEW_MS = 5000;
+const echoStats = { suppressed: 0 };
+
+function pruneSyncState(now = Date.now()) {
+  syncState.forEach((entry, key) => {
+    if (now - entry.writtenAt > ECHO_WINDOW_MS) syncState.delete(key);
+  });
 }
 
-async function createMondayItem(ticketData) {
-  const query = `
-    mutation ($boardId: ID!, $itemName: String!, $columnValues: JSON!) {
-      create_item(board_id: $boardId, item_name: $itemName, column_values: $columnValues) {
-        id
-      }
-    }
-  `;
+// Remember the values just written to a record. values is keyed by HubSpot
+// property or Monday column ID; created marks records we created ourselves.
+function rememberWrite(source, recordId, values, { created = false } = {}) {
+  const now = Date.now();
+  pruneSyncState(now);
   
-  // Build column values using configured field mapping
-  const columnValues = {};
-  if (ticketData.content && config.fieldMapping.description) {
-    columnValues[config.fieldMapping.description] = ticketData.content;
+  const key = `${source}:${recordId}`;
+  const entry = syncState.get(key) || { writtenAt: now, created: false, values: {} };
+  entry.writtenAt = now;
+  entry.created = entry.created || created;
+  Object.entries(values).forEach(([field, value]) => {
+    entry.values[field] = { value, writtenAt: now };
+  });
+  syncState.set(key, entry);
+}
+
+// Comparable text for a Monday column value, in either the shape we encode
+// it in or the shape webhook events report it in
+function mondayValueText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (value.label !== undefined) {
+    return typeof value.label === 'object' ? String(value.label?.text ?? '') : String(value.label);
   }
-  if (ticketData.status && config.fieldMapping.status) {
-    columnValues[config.fieldMapping.status] = ticketData.status;
+  if (value.labels) return value.labels.join(';');
+  if (value.chosenValues) return value.chosenValues.map(choice => choice.name).join(';');
+  if (value.personsAndTeams) {
+    return value.personsAndTeams.filter(entry => entry.kind !== 'team').map(entry => String(entry.id)).join(',');
   }
-  if (ticketData.priority && config.fieldMapping.priority) {
-    columnValues[config.fieldMapping.priority] = ticketData.priority;
+  if (value.date !== undefined) return value.time ? `${value.date} ${value.time}` : String(value.date ?? '');
+  if (value.checked !== undefined) return String(value.checked === true || value.checked === 'true');
+  for (const field of ['name', 'text', 'url', 'email', 'phone', 'value']) {
+    if (value[field] !== undefined) return String(value[field] ?? '');
   }
+  return JSON.stringify(value);
+}
+
+// True if an event about field on a record reports a value we wrote there
+// ourselves within the echo window. field null means the record's creation.
+function isEcho(source, recordId, field, value, occurredAt) {
+  const now = Date.now();
+  pruneSyncState(now);
   
-  const data = await mondayQuery(query, {
-    boardId: config.mondayBoardId,
-    itemName: ticketData.subject,
-    columnValues: JSON.stringify(columnValues)
+  const entry = syncState.get(`${source}:${recordId}`);
+  if (!entry) return false;
+  
+  if (field === null) return entry.created;
+  
+  const eventTime = Number.isFinite(occurredAt) ? occurredAt : now;
+  const written = entry.values[field];
+  if (!written || eventTime < written.writtenAt - ECHO_CLOCK_SKEW_MS) return false;
+  return sameValue(written.value, value);
+}
+
+// Monday values are remembered as comparable text, see mondayValueText
+function rememberMondayWrite(itemId, columnValues, options) {
+  const values = {};
+  Object.entries(columnValues).forEach(([columnId, value]) => {
+    values[columnId] = mondayValueText(value);
   });
+  rememberWrite('monday', itemId, values, options);
+}
+
+function countSuppressedEcho(count = 1) {
+  echoStats.suppressed += count;
+}
+
+function isHubSpotEcho(event) {
+  if (!event || !event.objectId) return false;
+  const ticketId = String(event.objectId);
+  if (event.subscriptionType === 'ticket.creation') return isEcho('hubspot', ticketId, null);
+  if (event.subscriptionType !== 'ticket.propertyChange' || event.propertyValue === undefined) return false;
+  return isEcho('hubspot', ticketId, event.propertyName, event.propertyValue, event.occurredAt);
+}
+
+function isMondayEcho(event) {
+  if (!event || !event.pulseId) return false;
+  const itemId = String(event.pulseId);
+  if (event.type === 'create_pulse') return isEcho('monday', itemId, null);
   
-  return data.create_item;
+  const columnId = event.columnId || (['update_name', 'change_name'].includes(event.type) ? 'name' : null);
+  if (!columnId || event.value === undefined) return false;
+  return isEcho('monday', itemId, columnId, mondayValueText(event.value), Date.parse(event.triggerTime));
 }
 
-async function updateMondayItem(itemId, ticketData) {
-  const query = `
-    mutation ($boardId: ID!, $itemId: ID!, $columnValues: JSON!) {
-      change_multiple_column_values(board_id: $boardId, item_id: $itemId, column_values: $columnValues) {
-        id
+// ========== WEBHOOK EVENTS ==========
+
+// Bursts of events for one record (e.g. several columns edited in a row) are
+// collapsed into a single targeted sync once they stop for this long
+const WEBHOOK_DEBOUNCE_MS = 2000;
+const pendingRecordSyncs = new Map();
+
+// Monday event types that can change a synced field, the conversation or
+// whether the item matches the record filters
+const MONDAY_SYNC_EVENT_TYPES = ['create_pulse', 'update_column_value', 'change_column_value', 'update_name', 'change_name', 'create_update', 'move_pulse_into_group'];
+
+function scheduleRecordSync(source, recordId) {
+  const key = `${source}:${recordId}`;
+  clearTimeout(pendingRecordSyncs.get(key));
+  pendingRecordSyncs.set(key, setTimeout(() => {
+    pendingRecordSyncs.delete(key);
+    enqueueSyncJob(source === 'hubspot' ? 'hubspotTicket' : 'mondayItem', { recordId, trigger: 'webhook' });
+  }, WEBHOOK_DEBOUNCE_MS));
+}
+
+// IDs of tickets in a HubSpot webhook batch that were created or had a
+// property changed that some profile syncs or filters on
+function getHubSpotEventTicketIds(events) {
+  const syncedProperties = mapProfiles(getHubSpotTicketProperties).flat();
+  const ticketIds = new Set();
+  
+  (Array.isArray(events) ? events : [events]).forEach(event => {
+    if (!event || !event.objectId) return;
+    if (event.subscriptionType === 'ticket.creation' ||
+        (event.subscriptionType === 'ticket.propertyChange' && syncedProperties.includes(event.propertyName))) {
+      ticketIds.add(String(event.objectId));
+    }
+  });
+  return [...ticketIds];
+}
+
+// Deleted and restored tickets in a HubSpot webhook batch update the
+// tombstones directly; there's nothing to sync for them
+function handleHubSpotDeletionEvents(events) {
+  events.forEach(event => {
+    if (!event || !event.objectId) return;
+    const ticketId = String(event.objectId);
+    const itemId = getLinkedItemId(ticketId);
+    // Tombstones are kept by the profile the pair belongs to
+    const profile = linkProfiles.get(ticketId);
+    if (!itemId || !config.profiles[profile]) return;
+    runInProfile(profile, () => {
+      if (event.subscriptionType === 'ticket.deletion') {
+        noteDeletion('hubspot', ticketId, itemId, 'webhook');
+      } else if (event.subscriptionType === 'ticket.restore') {
+        noteReappearance('hubspot', ticketId);
       }
+    });
+  });
+}
+
+// Monday event types for an item leaving the board
+const MONDAY_DELETION_EVENT_TYPES = ['delete_pulse', 'archive_pulse'];
+
+// True if the event was an item deletion or archive, now noted
+function handleMondayDeletionEvent(event) {
+  if (!event || !event.pulseId || !MONDAY_DELETION_EVENT_TYPES.includes(event.type)) return false;
+  const ticketId = getLinkedTicketId(event.pulseId);
+  const profile = ticketId && linkProfiles.get(ticketId);
+  if (config.profiles[profile]) {
+    runInProfile(profile, () => noteDeletion('monday', event.pulseId, ticketId, 'webhook'));
+  }
+  return true;
+}
+
+// ID of the item a Monday webhook event touched, or null if the event
+// doesn't affect a synced or filtered column on a profile's board
+function getMondayEventItemId(event) {
+  if (!event || !event.pulseId || !MONDAY_SYNC_EVENT_TYPES.includes(event.type)) return null;
+  const columns = mapProfiles(profile => {
+    if (event.boardId && String(event.boardId) !== String(profile.mondayBoardId)) return null;
+    return [
+      ...getSyncedFields().map(field => field.column).filter(Boolean),
+      ...getMondayFilterRules().map(rule => rule.column)
+    ];
+  }).filter(Boolean);
+  if (columns.length === 0) return null;
+  if (event.columnId && event.columnId !== 'name' && !columns.flat().includes(event.columnId)) return null;
+  return String(event.pulseId);
+}
+
+// ========== SETTINGS ==========
+
+// Changes to the profile's settings, shared by the dashboard forms and the
+// REST API. Each takes plain values, checks and saves them, logs the change,
+// and returns { saved, message?, report? }: message says why nothing was
+// saved; report is the validateConfiguration report, where one was made.
+// Values that are left out keep their current setting.
+const FIELD_RULE_VALUES = ['hubspot', 'monday', 'both'];
+const CONFLICT_POLICIES = ['newest', 'hubspot', 'monday'];
+
+function refuseSettings(what, message, report) {
+  logSync(`${what} not saved: ${message}`, 'error');
+  return { saved: false, message, report };
+}
+
+function describeBlockingChecks(problems) {
+  return problems.map(check => check.message).join('; ');
+}
+
+async function updateProfileSettings({ hubspotPipeline, mondayBoardId, mondayGroup, schedule } = {}) {
+  const settings = {
+    hubspotPipeline: String(hubspotPipeline ?? config.hubspotPipeline).trim(),
+    mondayBoardId: String(mondayBoardId ?? config.mondayBoardId).trim(),
+    mondayGroup: String(mondayGroup ?? config.mondayGroup).trim(),
+    schedule: {
+      incremental: String(schedule?.incremental ?? config.schedule.incremental).trim(),
+      full: String(schedule?.full ?? config.schedule.full).trim()
     }
-  `;
+  };
+  const invalid = Object.values(settings.schedule).filter(expression => !cron.validate(expression));
+  if (invalid.length > 0) {
+    return refuseSettings('Profile', `invalid schedule ${invalid.map(expression => `"${expression}"`).join(', ')}`);
+  }
   
-  // Only include fields that are provided, using configured field mapping
-  const columnValues = {};
-  if (ticketData.content !== undefined && config.fieldMapping.description) {
-    columnValues[config.fieldMapping.description] = ticketData.content;
+  const report = await validateConfiguration({ mondayBoardId: settings.mondayBoardId });
+  const problems = findBlockingChecks(report, ['mondayBoardId']);
+  if (problems.length > 0) return refuseSettings('Profile', describeBlockingChecks(problems), report);
+  
+  Object.assign(currentProfile(), settings);
+  logSync(`Profile updated: pipeline=${config.hubspotPipeline || 'all'}, board=${config.mondayBoardId}, group=${config.mondayGroup || 'all'}, delta sync "${config.schedule.incremental}", full reconcile "${config.schedule.full}"`, 'success');
+  scheduleProfileSyncs();
+  await persistState();
+  // Pairs now outside the pipeline or group are only found by a full sync
+  if (config.syncEnabled) enqueueSyncJob('full', { trigger: 'profile' });
+  return { saved: true, report };
+}
+
+async function updateFieldRules({ fieldRules = {}, conflictPolicy = config.conflictPolicy, conversationSync } = {}) {
+  const invalid = Object.entries(fieldRules).filter(([field, rule]) => !BUILT_IN_FIELDS[field] || !FIELD_RULE_VALUES.includes(rule));
+  if (invalid.length > 0) {
+    return refuseSettings('Field rules', `${invalid.map(([field]) => field).join(', ')}: each rule must be one of ${FIELD_RULE_VALUES.join(', ')}`);
   }
-  if (ticketData.status !== undefined && config.fieldMapping.status) {
-    columnValues[config.fieldMapping.status] = ticketData.status;
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) {
+    return refuseSettings('Field rules', `the conflict policy must be one of ${CONFLICT_POLICIES.join(', ')}`);
   }
-  if (ticketData.priority !== undefined && config.fieldMapping.priority) {
-    columnValues[config.fieldMapping.priority] = ticketData.priority;
+  
+  config.fieldRules = { ...config.fieldRules, ...fieldRules };
+  config.conflictPolicy = conflictPolicy;
+  if (conversationSync !== undefined && Boolean(conversationSync) !== getConversationSettings().enabled) {
+    config.conversationSync[config.mondayBoardId] = { enabled: Boolean(conversationSync), since: conversationSync ? new Date().toISOString() : null };
   }
+  logSync(`Field rules updated: Title=${config.fieldRules.title}, Description=${config.fieldRules.description}, Status=${config.fieldRules.status}, Priority=${config.fieldRules.priority}, Assignee=${config.fieldRules.assignee}, Conflicts=${config.conflictPolicy}, Conversations=${getConversationSettings().enabled ? 'on' : 'off'}`, 'success');
+  await persistState();
+  return { saved: true };
+}
+
+// Refuses columns that are missing or can't hold their HubSpot property
+async function updateFieldMapping(changes = {}) {
+  const unknown = Object.keys(changes).filter(field => !BUILT_IN_FIELDS[field] || field === 'title');
+  if (unknown.length > 0) return refuseSettings('Field mapping', `unknown field(s) ${unknown.join(', ')}`);
   
-  const data = await mondayQuery(query, {
-    boardId: config.mondayBoardId,
-    itemId,
-    columnValues: JSON.stringify(columnValues)
-  });
+  const fieldMapping = { ...config.fieldMapping, ...changes };
+  const report = await validateConfiguration({ fieldMapping });
+  const problems = findBlockingChecks(report, ['fieldMapping']);
+  if (problems.length > 0) return refuseSettings('Field mapping', describeBlockingChecks(problems), report);
   
-  return data.change_multiple_column_values;
+  config.fieldMapping = fieldMapping;
+  logSync(`Field mapping updated: ${JSON.stringify(config.fieldMapping)}`, 'success');
+  await persistState();
+  return { saved: true, report };
 }
 
-// ========== SYNC FUNCTIONS ==========
+// Replaces all custom mappings with `rows`
+async function updateCustomMappings(rows) {
+  const builtInProperties = Object.values(BUILT_IN_FIELDS).map(field => field.property);
+  const seen = new Set();
+  for (const row of rows) {
+    if (!row.hubspotProperty || !row.mondayColumn) return refuseSettings('Custom field mappings', 'every row needs a hubspotProperty and a mondayColumn');
+    if (builtInProperties.includes(row.hubspotProperty)) return refuseSettings('Custom field mappings', `"${row.hubspotProperty}" is already a built-in field`);
+    if (seen.has(row.hubspotProperty)) return refuseSettings('Custom field mappings', `"${row.hubspotProperty}" is mapped twice`);
+    if (!FIELD_RULE_VALUES.includes(row.rule)) return refuseSettings('Custom field mappings', `the rule for "${row.hubspotProperty}" must be one of ${FIELD_RULE_VALUES.join(', ')}`);
+    seen.add(row.hubspotProperty);
+  }
+  
+  const customMappings = rows.map(({ hubspotProperty, mondayColumn, rule }) => ({ hubspotProperty, mondayColumn, rule }));
+  const report = await validateConfiguration({ customMappings });
+  const problems = findBlockingChecks(report, ['customMappings']);
+  if (problems.length > 0) return refuseSettings('Custom field mappings', describeBlockingChecks(problems), report);
+  
+  config.customMappings = customMappings;
+  logSync(`Custom field mappings updated: ${customMappings.map(row => `${row.hubspotProperty} → ${row.mondayColumn} (${row.rule})`).join(', ') || 'none'}`, 'success');
+  await persistState();
+  return { saved: true, report };
+}
 
-async function syncHubSpotToMonday() {
-  if (!config.syncEnabled) return;
+async function updateValueMaps(changes = {}) {
+  const unknown = Object.keys(changes).filter(field => !config.valueMaps[field]);
+  if (unknown.length > 0) return refuseSettings('Value translation', `unknown field(s) ${unknown.join(', ')}`);
   
-  try {
-    logSync('Starting HubSpot → Monday.com sync...', 'info');
-    const tickets = await getHubSpotTickets();
-    const mondayItems = await getMondayItems();
-    
-    // Create a map of existing Monday items by name (simple matching)
-    const mondayMap = new Map();
-    mondayItems.forEach(item => {
-      mondayMap.set(item.name, item);
-    });
-    
-    let created = 0;
-    let updated = 0;
-    
-    for (const ticket of tickets) {
-      const ticketData = {
-        subject: ticket.properties.subject,
-        content: ticket.properties.content,
-        status: ticket.properties.hs_pipeline_stage,
-        priority: ticket.properties.hs_ticket_priority
-      };
-      
-      const existingItem = mondayMap.get(ticketData.subject);
-      
-      if (!existingItem) {
-        // New item - create with all fields
-        await createMondayItem(ticketData);
-        created++;
-        logSync(`Created Monday item: ${ticketData.subject}`, 'success');
-      } else {
-        // Existing item - only update fields where HubSpot is source of truth
-        const updateData = {};
-        
-        // Only sync fields where HubSpot is the source of truth or 'both'
-        if (config.fieldRules.title === 'hubspot' || config.fieldRules.title === 'both') {
-          updateData.subject = ticketData.subject;
-        }
-        if (config.fieldRules.description === 'hubspot' || config.fieldRules.description === 'both') {
-          updateData.content = ticketData.content;
-        }
-        if (config.fieldRules.status === 'hubspot' || config.fieldRules.status === 'both') {
-          updateData.status = ticketData.status;
-        }
-        if (config.fieldRules.priority === 'hubspot' || config.fieldRules.priority === 'both') {
-          updateData.priority = ticketData.priority;
-        }
-        
-        // Only update if we have fields to sync
-        if (Object.keys(updateData).length > 0) {
-          await updateMondayItem(existingItem.id, updateData);
-          updated++;
-          logSync(`Updated Monday item: ${ticketData.subject} (${Object.keys(updateData).join(', ')})`, 'info');
-        }
-      }
-    }
-    
-    logSync(`HubSpot → Monday sync complete: ${created} created, ${updated} updated`, 'success');
-    config.lastSync = new Date().toISOString();
-  } catch (error) {
-    logSync(`Sync failed: ${error.message}`, 'error');
+  config.valueMaps = { ...config.valueMaps, ...changes };
+  warnedUnmappedValues.clear();
+  logSync(`Value translation updated: ${JSON.stringify(config.valueMaps)}`, 'success');
+  await persistState();
+  return { saved: true };
+}
+
+async function setSyncEnabled(enabled) {
+  config.syncEnabled = enabled;
+  logSync(enabled ? 'Auto-sync enabled' : 'Auto-sync disabled', enabled ? 'success' : 'info');
+  await persistState();
+  return { saved: true };
+}
+
+// ========== AUTHENTICATION ==========
+
+// Everything but the webhooks (which verify their own signatures), the login
+// page and the REST API (which signs in its own way) needs a signed-in user. Viewers can look; changing anything
+// takes an admin. Sessions are kept in memory, so a restart signs everyone
+// out. Every state-changing request must carry the session's CSRF token, as a
+// _csrf form field or an X-CSRF-Token header.
+const USER_ROLES = ['viewer', 'admin'];
+const SESSION_COOKIE = 'sync_session';
+const LOGIN_CSRF_COOKIE = 'sync_login_csrf';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const PASSWORD_MIN_LENGTH = 10;
+const USERNAME_PATTERN = /^[\w.@-]{1,64}$/;
+const USERNAME_MAX_LOGGED = 64;
+// Failed sign-ins allowed per username and IP address before that pair is
+// locked out for a while. Keying on the username too means one client can't
+// lock everyone out when all requests seem to come from one proxy.
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+// Routes a viewer may post to
+const SELF_SERVICE_PATHS = ['/logout', '/account/password', '/profiles/select'];
+
+const sessions = new Map();
+const loginFailures = new Map();
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { salt, passwordHash: (await scrypt(password, salt)).toString('hex') };
+}
+
+function findUser(username) {
+  return config.users.find(user => user.username === username);
+}
+
+// Unknown users get a hash computed anyway, so timing doesn't reveal which
+// usernames exist
+async function checkCredentials(username, password) {
+  const user = findUser(username);
+  const key = await scrypt(String(password || ''), user ? user.salt : 'no-such-user');
+  return user && safeEqual(key.toString('hex'), user.passwordHash) ? user : null;
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) return `use at least ${PASSWORD_MIN_LENGTH} characters`;
+  return null;
+}
+
+// A form field as typed. Repeated or bracketed fields (name[]=x) arrive as
+// arrays or objects and read as empty.
+function formField(body, name) {
+  const value = body?.[name];
+  return typeof value === 'string' ? value : '';
+}
+
+function loginFailureKey(req, username) {
+  return `${req.ip}|${String(username || '').toLowerCase()}`;
+}
+
+function isLockedOut(key) {
+  const failures = loginFailures.get(key);
+  return Boolean(failures) && failures.count >= LOGIN_MAX_FAILURES && Date.now() - failures.since < LOGIN_LOCKOUT_MS;
+}
+
+function noteLoginFailure(key) {
+  const failures = loginFailures.get(key);
+  if (!failures || Date.now() - failures.since >= LOGIN_LOCKOUT_MS) {
+    loginFailures.set(key, { count: 1, since: Date.now() });
+  } else {
+    failures.count++;
   }
 }
 
-async function syncMondayToHubSpot() {
-  if (!config.syncEnabled) return;
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator !== -1) cookies[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+  });
+  return cookies;
+}
+
+function startSession(req, res, user) {
+  const session = {
+    id: crypto.randomBytes(32).toString('hex'),
+    username: user.username,
+    csrfToken: crypto.randomBytes(32).toString('hex'),
+    expiresAt: Date.now() + SESSION_TTL_MS
+  };
+  sessions.set(session.id, session);
+  res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'lax', secure: req.secure });
+  return session;
+}
+
+// The session for the request's cookie, kept alive for another TTL
+function getSession(req) {
+  const session = sessions.get(parseCookies(req)[SESSION_COOKIE]);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(session.id);
+    return null;
+  }
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return session;
+}
+
+// Each dashboard session shows and edits its own pick of profile, see
+// /profiles/select, or the default profile until it picks one
+function sessionProfileName(session) {
+  return isProfileName(session.profile) ? session.profile : config.activeProfile;
+}
+
+// Signs a user out everywhere, e.g. once removed
+function endSessions(username) {
+  sessions.forEach((session, id) => {
+    if (session.username === username) sessions.delete(id);
+  });
+}
+
+// Creates the first admin from ADMIN_USERNAME/ADMIN_PASSWORD. Without a
+// password one is generated and printed to the console (not the sync log,
+// which the dashboard shows).
+async function ensureAdminUser() {
+  if (config.users.length > 0) return;
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  let password = process.env.ADMIN_PASSWORD;
+  if (!password) {
+    password = crypto.randomBytes(12).toString('base64url');
+    console.log(`[WARNING] No users yet: created admin "${username}" with password ${password} - change it after signing in`);
+  }
+  config.users.push({ username, role: 'admin', ...(await hashPassword(password)) });
+  await persistState();
+}
+
+function rejectRequest(req, res, status, message) {
+  if (req.accepts(['html', 'json']) === 'json') return res.status(status).json(apiErrorBody(status, message));
+  res.status(status).send(message);
+}
+
+app.use((req, res, next) => {
+  if (req.path.startsWith('/webhook/') || req.path === '/login' || req.path.startsWith(`${API_BASE}/`)) return next();
   
-  try {
-    logSync('Starting Monday.com → HubSpot sync...', 'info');
-    const mondayItems = await getMondayItems();
-    const hubspotTickets = await getHubSpotTickets();
-    
-    // Create a map of existing HubSpot tickets by subject
-    const hubspotMap = new Map();
-    hubspotTickets.forEach(ticket => {
-      hubspotMap.set(ticket.properties.subject, ticket);
-    });
-    
-    let created = 0;
-    let updated = 0;
-    
-    for (const item of mondayItems) {
-      // Use configured field mapping to find columns
-      const textCol = item.column_values.find(col => col.id === config.fieldMapping.description);
-      const statusCol = item.column_values.find(col => col.id === config.fieldMapping.status);
-      const priorityCol = item.column_values.find(col => col.id === config.fieldMapping.priority);
-      
-      const itemData = {
-        subject: item.name,
-        content: textCol?.text || '',
-        status: statusCol?.text || 'new',
-        priority: priorityCol?.text || 'MEDIUM'
-      };
-      
-      const existingTicket = hubspotMap.get(itemData.subject);
-      
-      if (!existingTicket) {
-        // New ticket - create with all fields
-        await createHubSpotTicket(itemData);
-        created++;
-        logSync(`Created HubSpot ticket: ${itemData.subject}`, 'success');
-      } else {
-        // Existing ticket - only update fields where Monday is source of truth
-        const updateData = {};
-        
-        // Only sync fields where Monday is the source of truth or 'both'
-        if (config.fieldRules.title === 'monday' || config.fieldRules.title === 'both') {
-          updateData.subject = itemData.subject;
-        }
-        if (config.fieldRules.description === 'monday' || config.fieldRules.description === 'both') {
-          updateData.content = itemData.content;
-        }
-        if (config.fieldRules.status === 'monday' || config.fieldRules.status === 'both') {
-          updateData.status = itemData.status;
-        }
-        if (config.fieldRules.priority === 'monday' || config.fieldRules.priority === 'both') {
-          updateData.priority = itemData.priority;
-        }
-        
-        // Only update if we have fields to sync
-        if (Object.keys(updateData).length > 0) {
-          await updateHubSpotTicket(existingTicket.id, updateData);
-          updated++;
-          logSync(`Updated HubSpot ticket: ${itemData.subject} (${Object.keys(updateData).join(', ')})`, 'info');
-        }
-      }
+  const session = getSession(req);
+  const user = session && findUser(session.username);
+  if (!user) {
+    if (session) sessions.delete(session.id);
+    if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') return res.redirect('/login');
+    return rejectRequest(req, res, 401, 'Sign in first');
+  }
+  req.session = session;
+  req.user = user;
+  
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    if (!safeEqual(req.body?._csrf || req.get('X-CSRF-Token') || '', session.csrfToken)) {
+      return rejectRequest(req, res, 403, 'Invalid or missing CSRF token; reload the page and try again');
+    }
+    if (user.role !== 'admin' && !SELF_SERVICE_PATHS.includes(req.path)) {
+      return rejectRequest(req, res, 403, 'Only admins can change the sync');
     }
-    
-    logSync(`Monday → HubSpot sync complete: ${created} created, ${updated} updated`, 'success');
-    config.lastSync = new Date().toISOString();
-  } catch (error) {
-    logSync(`Sync failed: ${error.message}`, 'error');
   }
+  runInProfile(sessionProfileName(session), next);
+});
+
+// ========== WEB INTERFACE ==========
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-async function performFullSync() {
-  await syncHubSpotToMonday();
-  await syncMondayToHubSpot();
+function renderValidationReport({ valid, checkedAt, checks }) {
+  const icons = { ok: '✅', warning: '⚠️', error: '❌' };
+  const classes = { ok: 'success', warning: 'warning', error: 'error' };
+  return `
+    <div class="log" style="margin-top: 15px;">
+      <strong>${valid ? 'All checks passed' : 'Some checks failed'}</strong>
+      <small>(${new Date(checkedAt).toLocaleString()})</small>
+      ${checks.map(entry => `<div class="log-entry ${classes[entry.status]}">${icons[entry.status]} ${escapeHtml(entry.message)}</div>`).join('')}
+    </div>`;
 }
 
-// ========== WEB INTERFACE ==========
+// Answers a save that was validated first. The dashboard shows the report
+// once, under the form that was submitted.
+function respondWithValidation(req, res, form, report, saved) {
+  if (req.accepts(['html', 'json']) === 'json') return res.status(saved ? 200 : 422).json({ saved, report });
+  req.session.validation = { form, report };
+  res.redirect('/');
+}
 
 app.get('/', (req, res) => {
+  const csrfField = `<input type="hidden" name="_csrf" value="${req.session.csrfToken}">`;
+  const profileName = currentProfile().name;
+  const validation = req.session.validation;
+  delete req.session.validation;
+  const reportFor = form => (validation?.form === form ? renderValidationReport(validation.report) : '');
   res.send(`
     <!DOCTYPE html>
     <html>
@@ -538,6 +4337,20 @@ app.get('/', (req, res) => {
         .log-entry.info {
           color: #333;
         }
+        .log-entry.warning {
+          color: #ff9900;
+        }
+        .quota-table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 13px;
+        }
+        .quota-table th,
+        .quota-table td {
+          text-align: left;
+          padding: 6px 8px;
+          border-bottom: 1px solid #eee;
+        }
         .help-text {
           font-size: 12px;
           color: #666;
@@ -552,33 +4365,127 @@ app.get('/', (req, res) => {
       <div class="container">
         <h1>🔄 HubSpot ↔ Monday.com Sync</h1>
         <p class="subtitle">Two-way ticket synchronization made simple</p>
+        <form action="/logout" method="POST" data-self-service style="margin-bottom: 20px;">
+          ${csrfField}
+          <small>Signed in as <strong>${escapeHtml(req.user.username)}</strong> (${req.user.role})</small>
+          <button type="submit" style="width: auto; padding: 4px 12px; margin-left: 10px;">Sign out</button>
+        </form>
         
         <div class="status ${config.syncEnabled ? 'enabled' : 'disabled'}">
           <strong>Status:</strong> ${config.syncEnabled ? '✅ Sync Enabled' : '⚠️ Sync Disabled'}
+          <br><small>Profile: ${escapeHtml(profileName)}${profileName === config.activeProfile ? ' (default)' : ''}</small>
           ${config.lastSync ? `<br><small>Last sync: ${new Date(config.lastSync).toLocaleString()}</small>` : ''}
+          <br><small>Webhook echoes of our own writes suppressed: ${echoStats.suppressed}</small>
+          <br><small>JSON API: <a href="${API_BASE}/openapi.json">${API_BASE}</a> (OpenAPI description)</small>
         </div>
 
-        <form action="/config" method="POST">
-          <div class="form-group">
-            <label>HubSpot Access Token</label>
-            <input type="password" name="hubspotToken" value="${config.hubspotToken}" placeholder="pat-na1-xxxxx..." required>
-            <div class="help-text">Get this from HubSpot Settings → Integrations → Private Apps</div>
-          </div>
-
-          <div class="form-group">
-            <label>Monday.com API Token</label>
-            <input type="password" name="mondayToken" value="${config.mondayToken}" placeholder="eyJhbGc..." required>
-            <div class="help-text">Get this from Monday.com → Profile → Admin → API</div>
-          </div>
-
-          <div class="form-group">
-            <label>Monday.com Board ID</label>
-            <input type="text" name="mondayBoardId" value="${config.mondayBoardId}" placeholder="1234567890" required>
-            <div class="help-text">Find this in the URL when viewing your board</div>
-          </div>
+        <div class="section">
+          <h3>🔐 API Tokens</h3>
+          <p class="help-text">A new token is checked against its API before it replaces the current one. ${secretsKey ? 'Tokens are saved encrypted.' : '<strong>SECRETS_KEY is not set:</strong> tokens entered here are not saved and last until the next restart.'}</p>
+          ${Object.entries({
+            hubspotToken: { help: 'Get this from HubSpot Settings → Integrations → Private Apps', placeholder: 'pat-na1-xxxxx...' },
+            mondayToken: { help: 'Get this from Monday.com → Profile → Admin → API', placeholder: 'eyJhbGc...' }
+          }).map(([name, field]) => `
+            <form action="/secrets/rotate" method="POST" class="form-group">
+              ${csrfField}
+              <input type="hidden" name="name" value="${name}">
+              <label>${SECRETS[name].label}: <code>${maskSecret(config[name])}</code></label>
+              ${secretRotations[name] ? `<div class="help-text">Rotated ${new Date(secretRotations[name].rotatedAt).toLocaleString()} by ${escapeHtml(secretRotations[name].rotatedBy)}</div>` : ''}
+              <div style="display: flex; gap: 10px; margin-top: 5px;">
+                <input type="password" name="token" autocomplete="off" required placeholder="${config[name] ? 'New token' : field.placeholder}">
+                <button type="submit" style="width: auto;">${config[name] ? '🔄 Verify & Rotate' : '💾 Verify & Save'}</button>
+              </div>
+              <div class="help-text">${field.help}</div>
+            </form>
+          `).join('')}
+          <form action="/config/validate" method="POST">
+            ${csrfField}
+            <button type="submit" class="success">🩺 Test Connection</button>
+            <div class="help-text">Checks both tokens, the HubSpot token's scopes, this profile's board and its mapped columns</div>
+          </form>
+          ${reportFor('secrets')}
+        </div>
 
-          <button type="submit">💾 Save Configuration</button>
-        </form>
+        <div class="section">
+          <h3>🧭 Sync Profile</h3>
+          <p class="help-text">Each profile pairs a HubSpot pipeline with a Monday.com board and has its own field mapping, rules, filters, schedule and log. Everything below this section belongs to the selected profile.</p>
+          <form action="/profiles/select" method="POST" data-self-service style="margin-bottom: 20px;">
+            ${csrfField}
+            <select name="name" onchange="this.form.submit()" style="width: auto;">
+              ${Object.keys(config.profiles).map(name => `<option value="${escapeHtml(name)}" ${name === profileName ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+            </select>
+            <noscript><button type="submit">Switch</button></noscript>
+          </form>
+          <form action="/profiles/settings" method="POST">
+            ${csrfField}
+            <div class="form-group">
+              <label>HubSpot Pipeline ID</label>
+              <input type="text" name="hubspotPipeline" list="hubspot-pipelines" value="${escapeHtml(config.hubspotPipeline)}" placeholder="0">
+              <datalist id="hubspot-pipelines">
+                ${(config.hubspotProperties.find(prop => prop.name === 'hs_pipeline')?.options || []).map(option => `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('')}
+              </datalist>
+              <div class="help-text">Tickets from other pipelines are left out; new tickets are created in this one. Leave empty for all pipelines.</div>
+            </div>
+            <div class="form-group">
+              <label>Monday.com Board ID</label>
+              <input type="text" name="mondayBoardId" value="${escapeHtml(config.mondayBoardId)}" placeholder="1234567890" required>
+              <div class="help-text">Find this in the URL when viewing your board</div>
+            </div>
+            <div class="form-group">
+              <label>Monday.com Group ID</label>
+              <input type="text" name="mondayGroup" value="${escapeHtml(config.mondayGroup)}" placeholder="topics">
+              <div class="help-text">Items in other groups are left out; new items are created in this one. Leave empty for the whole board.</div>
+            </div>
+            <div class="form-group">
+              <label>Delta Sync Schedule</label>
+              <input type="text" name="incremental" value="${escapeHtml(config.schedule.incremental)}" placeholder="*/5 * * * *">
+            </div>
+            <div class="form-group">
+              <label>Full Reconcile Schedule</label>
+              <input type="text" name="full" value="${escapeHtml(config.schedule.full)}" placeholder="0 * * * *">
+              <div class="help-text">Cron expressions, e.g. <code>*/5 * * * *</code> for every 5 minutes</div>
+            </div>
+            <button type="submit">💾 Save Profile</button>
+          </form>
+          ${reportFor('profile')}
+          <form action="/profiles" method="POST" style="margin-top: 20px;">
+            ${csrfField}
+            <div class="form-group">
+              <label>New Profile</label>
+              <input type="text" name="name" placeholder="Engineering" required>
+            </div>
+            <div class="form-group">
+              <label><input type="checkbox" name="copySettings" style="width: auto;"> Start with this profile's mapping, rules and filters</label>
+            </div>
+            <button type="submit" class="success">➕ Add Profile</button>
+          </form>
+          ${Object.keys(config.profiles).length > 1 ? `
+          <form action="/profiles/default" method="POST" style="margin-top: 20px;">
+            ${csrfField}
+            <div class="form-group">
+              <label>Default Profile</label>
+              <select name="name">
+                ${Object.keys(config.profiles).map(name => `<option value="${escapeHtml(name)}" ${name === config.activeProfile ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+              </select>
+              <div class="help-text">Where everyone's dashboard starts, and what API calls without <code>?profile=</code> use. Switching profiles above only changes your own view.</div>
+            </div>
+            <button type="submit">💾 Save Default</button>
+          </form>` : ''}
+          ${Object.keys(config.profiles).length > 1 ? `
+          <form action="/profiles/delete" method="POST" style="margin-top: 20px;" onsubmit="return confirm('Delete this profile?')">
+            ${csrfField}
+            <input type="hidden" name="name" value="${escapeHtml(profileName)}">
+            <div class="form-group">
+              <label>Its Linked Pairs</label>
+              <select name="moveLinksTo">
+                <option value="">Unlink them</option>
+                ${Object.keys(config.profiles).filter(name => name !== profileName).map(name => `<option value="${escapeHtml(name)}">Move them to "${escapeHtml(name)}"</option>`).join('')}
+              </select>
+              <div class="help-text">Unlinked records are paired again by subject by whichever profile covers them. Only move pairs to a profile with the same pipeline and board.</div>
+            </div>
+            <button type="submit" class="danger">🗑️ Delete Profile "${escapeHtml(profileName)}"</button>
+          </form>` : ''}
+        </div>
 
         <div class="section">
           <h3>🗺️ Field Mapping</h3>
@@ -591,6 +4498,7 @@ app.get('/', (req, res) => {
 
           <div id="field-mapping-container">
             <form action="/field-mapping" method="POST">
+              ${csrfField}
               <div class="form-group">
                 <label>Description Field</label>
                 <div style="display: flex; gap: 10px; align-items: center;">
@@ -657,8 +4565,34 @@ app.get('/', (req, res) => {
 
               <button type="submit">💾 Save Field Mapping</button>
             </form>
+            ${reportFor('field-mapping')}
           </div>
 
+          <h4 style="margin-top: 30px;">➕ Custom Field Mappings</h4>
+          <p class="help-text">Sync any other HubSpot ticket property with any Monday column. Clear a row to remove it; save to get a new empty row.</p>
+          <form action="/custom-mappings" method="POST">
+            ${csrfField}
+            ${[...config.customMappings, { hubspotProperty: '', mondayColumn: '', rule: 'hubspot' }].map(row => `
+            <div class="form-group" style="display: flex; gap: 10px; align-items: center;">
+              <input name="hubspotProperty[]" list="hubspot-properties" value="${escapeHtml(row.hubspotProperty)}" placeholder="HubSpot property (e.g. hs_resolution)" style="flex: 1; width: auto;">
+              <div style="flex: 0 0 30px; text-align: center;">↔</div>
+              <input name="mondayColumn[]" list="monday-columns" value="${escapeHtml(row.mondayColumn)}" placeholder="Monday column ID" style="flex: 1; width: auto;">
+              <select name="rule[]" style="flex: 0 0 170px; padding: 10px; border: 1px solid #ddd; border-radius: 4px;">
+                <option value="hubspot" ${row.rule === 'hubspot' ? 'selected' : ''}>HubSpot → Monday</option>
+                <option value="monday" ${row.rule === 'monday' ? 'selected' : ''}>Monday → HubSpot</option>
+                <option value="both" ${row.rule === 'both' ? 'selected' : ''}>Both</option>
+              </select>
+            </div>`).join('')}
+            <datalist id="hubspot-properties">
+              ${config.hubspotProperties.map(prop => `<option value="${escapeHtml(prop.name)}">${escapeHtml(prop.label)} (${escapeHtml(prop.type)})</option>`).join('')}
+            </datalist>
+            <datalist id="monday-columns">
+              ${config.mondayColumns.map(col => `<option value="${escapeHtml(col.id)}">${escapeHtml(col.title)} (${escapeHtml(col.type)})</option>`).join('')}
+            </datalist>
+            <button type="submit">💾 Save Custom Mappings</button>
+          </form>
+          ${reportFor('custom-mappings')}
+
           <div style="background: #e6f3ff; border-left: 4px solid #0073ea; padding: 15px; margin-top: 20px; border-radius: 4px;">
             <strong>💡 How Field Mapping Works:</strong>
             <ul style="margin: 10px 0; padding-left: 20px;">
@@ -670,11 +4604,124 @@ app.get('/', (req, res) => {
           </div>
         </div>
 
+        <div class="section">
+          <h3>🔎 Record Filters</h3>
+          <p class="help-text">Only records matching every rule on their side are synced. One rule per line: <code>property = value, value</code>; a record matches a rule if it has any of the listed values. Values can be IDs or labels, e.g. a pipeline's name. Leave a side empty to sync all of its records.</p>
+          <form action="/record-filters" method="POST">
+            ${csrfField}
+            <div class="form-group">
+              <label>HubSpot Tickets</label>
+              <textarea name="hubspot" rows="4" placeholder="hs_pipeline = Engineering escalation&#10;hs_ticket_priority = HIGH">${escapeHtml(formatFilterRules(config.recordFilters.hubspot, 'property'))}</textarea>
+              <div class="help-text">Ticket property names, e.g. hs_pipeline, hs_pipeline_stage or hs_ticket_priority</div>
+            </div>
+            <div class="form-group">
+              <label>Monday.com Items</label>
+              <textarea name="monday" rows="4" placeholder="group = Escalations">${escapeHtml(formatFilterRules(config.recordFilters.monday, 'column'))}</textarea>
+              <div class="help-text">Column IDs, or <code>group</code> for the item's group</div>
+            </div>
+            <div class="form-group">
+              <label>When a linked record stops matching</label>
+              <select name="onMismatch">
+                <option value="leave" ${config.recordFilters.onMismatch === 'leave' ? 'selected' : ''}>Leave (keep the link, pause syncing)</option>
+                <option value="unlink" ${config.recordFilters.onMismatch === 'unlink' ? 'selected' : ''}>Unlink (keep the counterpart as is)</option>
+                <option value="archive" ${config.recordFilters.onMismatch === 'archive' ? 'selected' : ''}>Archive the counterpart (close a HubSpot ticket)</option>
+              </select>
+              <div class="help-text">An unlinked or archived counterpart is never synced again, so the filtered-out record isn't re-created</div>
+            </div>
+            <button type="submit">💾 Save Record Filters</button>
+          </form>
+          ${config.filteredOut.length > 0 ? `
+          <h4 style="margin-top: 20px;">Filtered Out</h4>
+          <div class="log">
+            ${config.filteredOut.map(entry => `
+            <div class="log-entry">
+              [${new Date(entry.filteredAt).toLocaleString()}] ${describeRecord(entry.source, escapeHtml(entry.source === 'hubspot' ? entry.ticketId : entry.itemId))} (${escapeHtml(entry.subject)})
+              → ${describeRecord(entry.source === 'hubspot' ? 'monday' : 'hubspot', escapeHtml(entry.source === 'hubspot' ? entry.itemId : entry.ticketId))}: ${escapeHtml(entry.action)}
+            </div>`).join('')}
+          </div>` : ''}
+        </div>
+
+        <div class="section">
+          <h3>📎 Attachments</h3>
+          <p class="help-text">Files attached to a ticket's notes are copied into a Monday.com file column, and files added to that column are attached back to the ticket in a note. Each file is copied once; files with identical content are recognized and not copied again.</p>
+          <form action="/attachments" method="POST">
+            ${csrfField}
+            <div class="form-group">
+              <label>Monday.com File Column</label>
+              <input type="text" name="mondayColumn" list="monday-columns" value="${escapeHtml(config.attachmentSync.mondayColumn)}" placeholder="files">
+              <div class="help-text">ID of a File column on the board. Leave empty to turn attachment copying off.</div>
+            </div>
+            <div class="form-group">
+              <label>Maximum File Size (MB)</label>
+              <input type="number" name="maxSizeMb" min="1" value="${config.attachmentSync.maxSizeMb}">
+              <div class="help-text">Larger files are skipped and noted in the sync log</div>
+            </div>
+            <button type="submit">💾 Save Attachment Settings</button>
+          </form>
+          ${reportFor('attachments')}
+        </div>
+
+        <div class="section">
+          <h3>🔤 Value Translation</h3>
+          <p class="help-text">Translate HubSpot values (pipeline stage IDs, priority values) into Monday status labels and back. One mapping per line: <code>HubSpot value = Monday label</code>, with stages written as <code>pipeline ID/stage ID</code> since pipelines can share stage names. Leave a field empty to copy values as-is.</p>
+
+          <form action="/value-maps/seed" method="POST" style="margin-bottom: 20px;">
+            ${csrfField}
+            <button type="submit" class="success">🌱 Seed from HubSpot Pipelines &amp; Monday Labels</button>
+          </form>
+
+          <form action="/value-maps" method="POST">
+            ${csrfField}
+            <div class="form-group">
+              <label>Status (hs_pipeline_stage → ${escapeHtml(config.fieldMapping.status)})</label>
+              <textarea name="status" rows="6" placeholder="0/1 = New">${escapeHtml(formatStatusMap(config.valueMaps.status))}</textarea>
+              ${getColumnLabels(config.fieldMapping.status).length ? `<div class="help-text">Monday labels: ${escapeHtml(getColumnLabels(config.fieldMapping.status).join(', '))}</div>` : ''}
+            </div>
+
+            <div class="form-group">
+              <label>Priority (hs_ticket_priority → ${escapeHtml(config.fieldMapping.priority)})</label>
+              <textarea name="priority" rows="4" placeholder="HIGH = Urgent">${escapeHtml(formatValueMap(config.valueMaps.priority))}</textarea>
+              ${getColumnLabels(config.fieldMapping.priority).length ? `<div class="help-text">Monday labels: ${escapeHtml(getColumnLabels(config.fieldMapping.priority).join(', '))}</div>` : ''}
+            </div>
+
+            <button type="submit">💾 Save Value Translation</button>
+          </form>
+        </div>
+
+        <div class="section">
+          <h3>👥 User Directory</h3>
+          <p class="help-text">Assignees sync between HubSpot owners and Monday users with the same email. Pick a Monday user to override a match.</p>
+
+          <form action="/user-directory/refresh" method="POST" style="margin-bottom: 20px;">
+            ${csrfField}
+            <button type="submit" class="success">🔄 Refresh Owners &amp; Users</button>
+          </form>
+
+          ${userDirectory.owners.length === 0 ? '<p class="help-text">No HubSpot owners loaded yet. Click refresh to load them.</p>' : `
+          <form action="/user-directory" method="POST">
+            ${csrfField}
+            ${userDirectory.owners.map(owner => {
+              const match = findMondayUserForOwner(owner.id);
+              const override = config.userOverrides[owner.id] || '';
+              return `
+            <div class="form-group">
+              <label>${escapeHtml(owner.name)} <span class="help-text">${escapeHtml(owner.email)}</span></label>
+              <select name="owner_${escapeHtml(owner.id)}" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;">
+                <option value="" ${override ? '' : 'selected'}>Match by email${!override && match ? ` (${escapeHtml(match.name)})` : override ? '' : ' (no match - assignee not synced)'}</option>
+                ${userDirectory.mondayUsers.map(user => `<option value="${escapeHtml(user.id)}" ${override === user.id ? 'selected' : ''}>${escapeHtml(user.name)} (${escapeHtml(user.email)})</option>`).join('')}
+              </select>
+            </div>`;
+            }).join('')}
+            <button type="submit">💾 Save User Overrides</button>
+          </form>`}
+        </div>
+
         <div class="section">
           <h3>⚙️ Field Sync Rules</h3>
           <p class="help-text">Choose which platform is the "source of truth" for each field. This prevents conflicts!</p>
           
           <form action="/rules" method="POST">
+            ${csrfField}
             <div class="form-group">
               <label>Title/Subject</label>
               <select name="title" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;">
@@ -724,6 +4771,24 @@ app.get('/', (req, res) => {
               <div class="help-text">💡 Recommended: Both (assign tickets from either platform)</div>
             </div>
 
+            <div class="form-group">
+              <label>When Both Sides Changed</label>
+              <select name="conflictPolicy" style="width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px;">
+                <option value="newest" ${config.conflictPolicy === 'newest' ? 'selected' : ''}>Newest edit wins (compare modification times)</option>
+                <option value="hubspot" ${config.conflictPolicy === 'hubspot' ? 'selected' : ''}>HubSpot wins</option>
+                <option value="monday" ${config.conflictPolicy === 'monday' ? 'selected' : ''}>Monday wins</option>
+              </select>
+              <div class="help-text">Applies to fields set to "Both" when a field was edited on both platforms since the last sync</div>
+            </div>
+
+            <div class="form-group">
+              <label>
+                <input type="checkbox" name="conversationSync" value="on" ${getConversationSettings().enabled ? 'checked' : ''} style="width: auto;">
+                Sync conversations on this board
+              </label>
+              <div class="help-text">Mirrors HubSpot ticket notes into Monday.com item updates and vice versa, naming the original author. Only messages written after this is switched on are mirrored.</div>
+            </div>
+
             <button type="submit">💾 Save Field Rules</button>
           </form>
 
@@ -738,17 +4803,176 @@ app.get('/', (req, res) => {
           </div>
         </div>
 
+        <div class="section">
+          <h3>⚔️ Conflicts</h3>
+          <p class="help-text">Fields set to "Both" that were edited on both platforms since the last sync, and how each was resolved</p>
+          ${config.conflicts.length === 0 ? '<div class="help-text">No conflicts recorded.</div>' : `
+          <div class="log">
+            ${config.conflicts.map(conflict => `
+            <div class="log-entry warning">
+              [${new Date(conflict.timestamp).toLocaleString()}] Ticket ${escapeHtml(conflict.ticketId)} ↔ item ${escapeHtml(conflict.itemId)}, <strong>${escapeHtml(conflict.field)}</strong>:
+              was "${escapeHtml(conflict.baseValue)}", HubSpot "${escapeHtml(conflict.hubspotValue)}", Monday "${escapeHtml(conflict.mondayValue)}"
+              → ${conflict.winner === 'hubspot' ? 'HubSpot' : 'Monday'} kept (${escapeHtml(conflict.reason)})
+            </div>`).join('')}
+          </div>
+          <form action="/conflicts/clear" method="POST" style="margin-top: 10px;">
+            ${csrfField}
+            <button type="submit" class="danger">🗑️ Clear Conflict History</button>
+          </form>`}
+        </div>
+
+        <div class="section">
+          <h3>🗑️ Deletions</h3>
+          <p class="help-text">What happens to the counterpart of a linked record that is deleted (or archived on Monday.com). Deleted records are never re-created from their counterpart. Deletions are only propagated after the grace period, and only if the record hasn't been restored by then.</p>
+          <form action="/deletion-policy" method="POST">
+            ${csrfField}
+            <div class="form-group">
+              <label>HubSpot ticket deleted → Monday.com item</label>
+              <select name="hubspotToMonday">
+                <option value="ignore" ${config.deletion.hubspotToMonday === 'ignore' ? 'selected' : ''}>Ignore (keep the item)</option>
+                <option value="archive" ${config.deletion.hubspotToMonday === 'archive' ? 'selected' : ''}>Archive the item</option>
+                <option value="delete" ${config.deletion.hubspotToMonday === 'delete' ? 'selected' : ''}>Delete the item</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label>Monday.com item deleted or archived → HubSpot ticket</label>
+              <select name="mondayToHubspot">
+                <option value="ignore" ${config.deletion.mondayToHubspot === 'ignore' ? 'selected' : ''}>Ignore (keep the ticket)</option>
+                <option value="archive" ${config.deletion.mondayToHubspot === 'archive' ? 'selected' : ''}>Close the ticket</option>
+                <option value="delete" ${config.deletion.mondayToHubspot === 'delete' ? 'selected' : ''}>Delete the ticket</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label>Grace period (minutes)</label>
+              <input type="number" name="graceMinutes" min="0" value="${config.deletion.graceMinutes}">
+            </div>
+            <div class="form-group">
+              <label>Closed ticket stage ID</label>
+              <input type="text" name="closedStage" value="${escapeHtml(config.deletion.closedStage)}" placeholder="4">
+              <div class="help-text">Pipeline stage a ticket is moved to when it is closed ("4" is Closed in HubSpot's default support pipeline)</div>
+            </div>
+            <button type="submit">💾 Save Deletion Handling</button>
+          </form>
+          ${config.tombstones.some(tombstone => tombstone.status === 'pending') ? `
+          <h4 style="margin-top: 20px;">Pending</h4>
+          <div class="log">
+            ${config.tombstones.filter(tombstone => tombstone.status === 'pending').map(tombstone => `
+            <div class="log-entry warning">
+              ${describeRecord(tombstone.source, escapeHtml(tombstone.recordId))} gone since ${new Date(tombstone.detectedAt).toLocaleString()} (${escapeHtml(tombstone.detectedBy)}),
+              due ${new Date(Date.parse(tombstone.detectedAt) + config.deletion.graceMinutes * 60000).toLocaleString()}${tombstone.error ? `; last attempt failed: ${escapeHtml(tombstone.error)}` : ''}
+            </div>`).join('')}
+          </div>` : ''}
+          <h4 style="margin-top: 20px;">Deletion Log</h4>
+          ${config.deletionLog.length === 0 ? '<div class="help-text">No deletions handled yet.</div>' : `
+          <div class="log">
+            ${config.deletionLog.map(entry => `
+            <div class="log-entry">
+              [${new Date(entry.timestamp).toLocaleString()}] ${describeRecord(entry.source, escapeHtml(entry.recordId))} removed (${escapeHtml(entry.detectedBy)})
+              → ${describeRecord(entry.source === 'hubspot' ? 'monday' : 'hubspot', escapeHtml(entry.counterpartId))}: ${escapeHtml(entry.action)}
+            </div>`).join('')}
+          </div>`}
+        </div>
+
+        <div class="section">
+          <h3>🚑 Failed Records</h3>
+          <p class="help-text">Records that failed to sync. Later runs retry each one automatically, up to ${DEAD_LETTER_MAX_ATTEMPTS} attempts; retry or discard them here at any time. Also available through the API at <code>${API_BASE}/dead-letters</code>.</p>
+          ${config.deadLetters.length === 0 ? '<div class="help-text">No failed records.</div>' : `
+          <div class="log">
+            ${config.deadLetters.map(entry => `
+            <div class="log-entry error">
+              [${new Date(entry.lastFailedAt).toLocaleString()}] ${entry.source === 'hubspot' ? 'HubSpot ticket' : 'Monday item'} ${escapeHtml(entry.recordId)}
+              "${escapeHtml(entry.label)}", ${entry.attempts} attempt(s): ${escapeHtml(entry.error)}
+              <details><summary>Payload</summary><pre>${escapeHtml(JSON.stringify(entry.payload, null, 2))}</pre></details>
+              <form action="/dead-letters/retry" method="POST" style="display: inline;">
+                ${csrfField}
+                <input type="hidden" name="key" value="${escapeHtml(entry.key)}">
+                <button type="submit">🔁 Retry</button>
+              </form>
+              <form action="/dead-letters/discard" method="POST" style="display: inline;">
+                ${csrfField}
+                <input type="hidden" name="key" value="${escapeHtml(entry.key)}">
+                <button type="submit" class="danger">🗑️ Discard</button>
+              </form>
+            </div>`).join('')}
+          </div>
+          <form action="/dead-letters/retry" method="POST" style="display: inline;">
+            ${csrfField}
+            <button type="submit">🔁 Retry All</button>
+          </form>
+          <form action="/dead-letters/discard" method="POST" style="display: inline;">
+            ${csrfField}
+            <button type="submit" class="danger">🗑️ Discard All</button>
+          </form>`}
+        </div>
+
         <div class="section">
           <h3>Sync Controls</h3>
           <form action="/enable" method="POST" style="display: inline;">
+            ${csrfField}
             <button type="submit" class="success">▶️ Enable Auto-Sync</button>
           </form>
           <form action="/disable" method="POST" style="display: inline;">
+            ${csrfField}
             <button type="submit" class="danger">⏸️ Disable Auto-Sync</button>
           </form>
           <form action="/sync" method="POST" style="display: inline;">
+            ${csrfField}
             <button type="submit">🔄 Manual Sync Now</button>
           </form>
+          
+          <h4 style="margin-top: 20px;">Preview (dry run)</h4>
+          <p class="help-text">Shows what a full sync would create and change, without writing anything to either platform. Also available as JSON at <code>GET /preview?direction=both</code>.</p>
+          <select id="preview-direction" style="width: auto;">
+            <option value="both">Both directions</option>
+            <option value="hubspot-to-monday">HubSpot → Monday.com</option>
+            <option value="monday-to-hubspot">Monday.com → HubSpot</option>
+          </select>
+          <button type="button" onclick="previewSync()">👀 Preview Sync</button>
+          <span id="preview-status" style="margin-left: 10px;"></span>
+          <div id="preview-result"></div>
+        </div>
+
+        <div class="section">
+          <h3>Sync Queue</h3>
+          <p class="help-text">Sync jobs run one at a time. Repeated requests for a job that is still waiting are merged into it.</p>
+          <div class="log">
+            ${syncQueue.running
+              ? `<div class="log-entry info">▶️ Running: ${escapeHtml(syncQueue.running.label)} (${escapeHtml(syncQueue.running.triggers.join(', '))}, started ${new Date(syncQueue.running.startedAt).toLocaleTimeString()})</div>`
+              : '<div>Idle</div>'}
+            ${syncQueue.queued.map(job =>
+              `<div class="log-entry">⏳ Queued: ${escapeHtml(job.label)} (${escapeHtml(job.triggers.join(', '))}, since ${new Date(job.queuedAt).toLocaleTimeString()})</div>`
+            ).join('')}
+          </div>
+        </div>
+
+        <div class="section">
+          <h3>API Quota</h3>
+          <p class="help-text">Since the server started. Rate-limited and failed calls are retried with backoff; throttled time is spent waiting for quota before sending.</p>
+          <table class="quota-table">
+            <tr><th>API</th><th>Requests</th><th>Retries</th><th>Failures</th><th>Throttled</th><th>Quota</th></tr>
+            <tr>
+              <td>HubSpot</td>
+              <td>${apiUsage.hubspot.requests}</td>
+              <td>${apiUsage.hubspot.retries}</td>
+              <td>${apiUsage.hubspot.failures}</td>
+              <td>${Math.round(apiUsage.hubspot.throttledMs / 1000)}s</td>
+              <td>${apiUsage.hubspot.rateLimit
+                ? `${apiUsage.hubspot.rateLimit.remaining} of ${apiUsage.hubspot.rateLimit.max} left per ${apiUsage.hubspot.rateLimit.intervalMs / 1000}s`
+                : 'not reported yet'}${apiUsage.hubspot.daily
+                ? `<br>${apiUsage.hubspot.daily.remaining} of ${apiUsage.hubspot.daily.max} left today`
+                : ''}</td>
+            </tr>
+            <tr>
+              <td>Monday.com</td>
+              <td>${apiUsage.monday.requests}</td>
+              <td>${apiUsage.monday.retries}</td>
+              <td>${apiUsage.monday.failures}</td>
+              <td>${Math.round(apiUsage.monday.throttledMs / 1000)}s</td>
+              <td>${apiUsage.monday.complexity
+                ? `${apiUsage.monday.complexity.after} complexity left (last query cost ${apiUsage.monday.complexity.lastCost}), resets ${new Date(apiUsage.monday.complexity.resetAt).toLocaleTimeString()}`
+                : 'not reported yet'}</td>
+            </tr>
+          </table>
         </div>
 
         <div class="section">
@@ -757,12 +4981,66 @@ app.get('/', (req, res) => {
             ${config.syncLog.length === 0 ? '<div>No sync activity yet...</div>' : ''}
             ${config.syncLog.map(entry => 
               `<div class="log-entry ${entry.type}">
-                [${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}
+                [${new Date(entry.timestamp).toLocaleTimeString()}] ${escapeHtml(entry.message)}
               </div>`
             ).join('')}
           </div>
         </div>
 
+        <div class="section">
+          <h3>👤 Users</h3>
+          <p class="help-text">Viewers can see the dashboard and previews; admins can also change settings and run syncs.</p>
+          ${req.user.role === 'admin' ? `
+          <table class="quota-table">
+            <tr><th>User</th><th>Role</th><th></th></tr>
+            ${config.users.map(user => `
+            <tr>
+              <td>${escapeHtml(user.username)}</td>
+              <td>${user.role}</td>
+              <td>
+                ${user.username === req.user.username ? '<em>you</em>' : `
+                <form action="/users/delete" method="POST" style="display: inline;">
+                  ${csrfField}
+                  <input type="hidden" name="username" value="${escapeHtml(user.username)}">
+                  <button type="submit" class="danger" style="width: auto; padding: 4px 12px;">Remove</button>
+                </form>`}
+              </td>
+            </tr>`).join('')}
+          </table>
+          <form action="/users" method="POST" style="margin-top: 20px;">
+            ${csrfField}
+            <div class="form-group">
+              <label>Username</label>
+              <input type="text" name="username" required>
+            </div>
+            <div class="form-group">
+              <label>Password</label>
+              <input type="password" name="password" autocomplete="new-password">
+              <div class="help-text">At least ${PASSWORD_MIN_LENGTH} characters. Leave empty to only change an existing user's role.</div>
+            </div>
+            <div class="form-group">
+              <label>Role</label>
+              <select name="role">
+                <option value="viewer">Viewer</option>
+                <option value="admin">Admin</option>
+              </select>
+            </div>
+            <button type="submit">💾 Add or Update User</button>
+          </form>` : ''}
+          <form action="/account/password" method="POST" data-self-service style="margin-top: 20px;">
+            ${csrfField}
+            <div class="form-group">
+              <label>Current Password</label>
+              <input type="password" name="currentPassword" autocomplete="current-password" required>
+            </div>
+            <div class="form-group">
+              <label>New Password</label>
+              <input type="password" name="newPassword" autocomplete="new-password" required>
+            </div>
+            <button type="submit">🔑 Change My Password</button>
+          </form>
+        </div>
+
         <div class="section">
           <h3>📚 Setup Instructions</h3>
           <ol>
@@ -770,13 +5048,71 @@ app.get('/', (req, res) => {
             <li><strong>Get Monday Token:</strong> Monday.com → Your profile picture → Admin → API → Copy token</li>
             <li><strong>Get Board ID:</strong> Open your Monday board, the ID is in the URL (monday.com/boards/<strong>1234567890</strong>)</li>
             <li><strong>Save config above</strong> then click "Enable Auto-Sync"</li>
-            <li>Sync runs automatically every 5 minutes when enabled</li>
+            <li>Changes sync automatically every 5 minutes when enabled, with a full reconcile every hour</li>
           </ol>
         </div>
       </div>
       <script>
-        // Auto-refresh every 30 seconds to show latest logs
-        setTimeout(() => location.reload(), 30000);
+        // Auto-refresh every 30 seconds to show latest logs, unless a
+        // preview is being read
+        let previewShown = false;
+        setTimeout(() => {
+          if (!previewShown) location.reload();
+        }, 30000);
+
+        function escapeText(value) {
+          const div = document.createElement('div');
+          div.textContent = value === undefined || value === null ? '' : String(value);
+          return div.innerHTML;
+        }
+
+        // Dry-run preview, rendered as one table per direction
+        async function previewSync() {
+          const statusEl = document.getElementById('preview-status');
+          const resultEl = document.getElementById('preview-result');
+          const direction = document.getElementById('preview-direction').value;
+          statusEl.textContent = '🔄 Computing preview...';
+          statusEl.style.color = '#0073ea';
+
+          try {
+            const response = await fetch('/preview?direction=' + encodeURIComponent(direction));
+            const data = await response.json();
+            if (!response.ok) {
+              statusEl.textContent = '❌ Error: ' + data.error.message;
+              statusEl.style.color = '#e44258';
+              return;
+            }
+
+            statusEl.textContent = '';
+            previewShown = true;
+            const sections = [
+              ['HubSpot → Monday.com', data.hubspotToMonday, 'Monday item'],
+              ['Monday.com → HubSpot', data.mondayToHubspot, 'HubSpot ticket']
+            ].filter(([, plan]) => plan);
+            resultEl.innerHTML = sections.map(([title, plan, target]) => \`
+              <h4>\${title}: \${plan.created} to create, \${plan.updated} to update, \${plan.failed} failing, \${plan.unchanged} unchanged</h4>
+              \${plan.records.length === 0 ? '<div class="help-text">Nothing to do.</div>' : \`
+              <table class="quota-table">
+                <tr><th>Action</th><th>Ticket</th><th>Item</th><th>Subject</th><th>Details</th></tr>
+                \${plan.records.map(record => \`
+                <tr>
+                  <td>\${record.action === 'create' ? 'Create ' + target : record.action}</td>
+                  <td>\${escapeText(record.ticketId || '-')}</td>
+                  <td>\${escapeText(record.itemId || '-')}</td>
+                  <td>\${escapeText(record.subject)}</td>
+                  <td>\${record.error ? escapeText(record.error)
+                    : record.note ? escapeText(record.note)
+                    : record.changes ? record.changes.map(change => '<strong>' + escapeText(change.field) + '</strong>: "' + escapeText(change.from) + '" → "' + escapeText(change.to) + '"').join('<br>')
+                    : record.values ? Object.entries(record.values).map(([field, value]) => '<strong>' + escapeText(field) + '</strong>: "' + escapeText(value) + '"').join('<br>')
+                    : 'link by subject'}\${record.linkedBySubject ? '<br><em>links by subject</em>' : ''}</td>
+                </tr>\`).join('')}
+              </table>\`}\`).join('');
+          } catch (error) {
+            statusEl.textContent = '❌ Error computing preview';
+            statusEl.style.color = '#e44258';
+            console.error(error);
+          }
+        }
 
         // Field discovery function
         async function discoverFields() {
@@ -788,7 +5124,7 @@ app.get('/', (req, res) => {
             const response = await fetch('/discover-fields');
             const data = await response.json();
 
-            if (data.success) {
+            if (response.ok) {
               statusEl.textContent = '✅ Fields discovered!';
               statusEl.style.color = '#00c875';
 
@@ -798,6 +5134,10 @@ app.get('/', (req, res) => {
               populateColumnDropdown('priority_monday', data.monday, data.currentMapping.priority, ['dropdown', 'status']);
               populateColumnDropdown('assignee_monday', data.monday, data.currentMapping.assignee, ['people', 'person']);
 
+              // Suggestions for the custom mapping rows
+              populateDatalist('hubspot-properties', data.hubspot.map(prop => [prop.name, prop.label + ' (' + prop.type + ')']));
+              populateDatalist('monday-columns', data.monday.map(col => [col.id, col.title + ' (' + col.type + ')']));
+
               // Show available HubSpot fields in console for reference
               console.log('Available HubSpot Fields:', data.hubspot);
               console.log('Available Monday Columns:', data.monday);
@@ -806,7 +5146,7 @@ app.get('/', (req, res) => {
                 statusEl.textContent = '';
               }, 3000);
             } else {
-              statusEl.textContent = '❌ Error: ' + data.error;
+              statusEl.textContent = '❌ Error: ' + data.error.message;
               statusEl.style.color = '#e44258';
             }
           } catch (error) {
@@ -816,6 +5156,18 @@ app.get('/', (req, res) => {
           }
         }
 
+        function populateDatalist(listId, entries) {
+          const list = document.getElementById(listId);
+          if (!list) return;
+          list.innerHTML = '';
+          entries.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            list.appendChild(option);
+          });
+        }
+
         function populateColumnDropdown(selectId, columns, currentValue, preferredTypes) {
           const select = document.getElementById(selectId);
           if (!select) return;
@@ -829,7 +5181,7 @@ app.get('/', (req, res) => {
             option.value = col.id;
             
             // Show column title, type, and ID
-            option.textContent = `${col.title} (${col.type}) [${col.id}]`;
+            option.textContent = \`\${col.title} (\${col.type}) [\${col.id}]\`;
             
             // Highlight if it matches preferred type
             if (preferredTypes.includes(col.type.toLowerCase())) {
@@ -848,43 +5200,385 @@ app.get('/', (req, res) => {
           if (currentValue && !columns.find(c => c.id === currentValue)) {
             const option = document.createElement('option');
             option.value = currentValue;
-            option.textContent = `${currentValue} (current - not found in board)`;
+            option.textContent = \`\${currentValue} (current - not found in board)\`;
             option.selected = true;
             select.insertBefore(option, select.firstChild);
           }
         }
 
-        // Auto-discover fields on page load if config is set
-        window.addEventListener('load', () => {
-          // Only auto-discover if we have API credentials
-          if ('${config.hubspotToken}' && '${config.mondayToken}' && '${config.mondayBoardId}') {
-            setTimeout(() => {
-              discoverFields();
-            }, 1000);
-          }
-        });
-      </script>
-    </body>
-    </html>
-  `);
+        // Viewers see every setting, but can't change any
+        if (${req.user.role !== 'admin'}) {
+          document.querySelectorAll('form[method="POST"]:not([data-self-service])').forEach(form => {
+            form.querySelectorAll('input, select, textarea, button').forEach(control => { control.disabled = true; });
+          });
+        }
+
+        // Auto-discover fields on page load if config is set
+        window.addEventListener('load', () => {
+          // Only auto-discover if we have API credentials
+          if (${Boolean(config.hubspotToken && config.mondayToken && config.mondayBoardId)}) {
+            setTimeout(() => {
+              discoverFields();
+            }, 1000);
+          }
+        });
+      </script>
+    </body>
+    </html>
+  `);
+});
+
+function renderLoginPage(res, csrfToken, error = '') {
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Sign in - HubSpot ↔ Monday.com Sync</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; }
+        .container { max-width: 360px; margin: 100px auto; background: white; padding: 30px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        label { display: block; margin: 15px 0 5px; font-weight: 600; }
+        input { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        button { width: 100%; margin-top: 20px; padding: 12px; background: #0073ea; color: white; border: none; border-radius: 4px; font-size: 16px; cursor: pointer; }
+        .error { color: #e44258; margin-top: 15px; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h2>🔄 Sign in</h2>
+        <form action="/login" method="POST">
+          <input type="hidden" name="_csrf" value="${csrfToken}">
+          <label>Username</label>
+          <input type="text" name="username" autocomplete="username" required autofocus>
+          <label>Password</label>
+          <input type="password" name="password" autocomplete="current-password" required>
+          ${error ? `<div class="error">${escapeHtml(error)}</div>` : ''}
+          <button type="submit">Sign in</button>
+        </form>
+      </div>
+    </body>
+    </html>
+  `);
+}
+
+// There's no session before signing in, so the login form's CSRF token is
+// double-submitted: once in a cookie and once in the form
+function renderLoginForm(req, res, error) {
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  res.cookie(LOGIN_CSRF_COOKIE, csrfToken, { httpOnly: true, sameSite: 'strict', secure: req.secure });
+  if (error) res.status(401);
+  renderLoginPage(res, csrfToken, error);
+}
+
+app.get('/login', (req, res) => {
+  if (getSession(req)) return res.redirect('/');
+  renderLoginForm(req, res);
+});
+
+app.post('/login', async (req, res) => {
+  const expected = parseCookies(req)[LOGIN_CSRF_COOKIE];
+  if (!expected || !safeEqual(formField(req.body, '_csrf'), expected)) {
+    return renderLoginForm(req, res, 'The form expired; please try again');
+  }
+  const username = formField(req.body, 'username');
+  const failureKey = loginFailureKey(req, username);
+  if (isLockedOut(failureKey)) {
+    return renderLoginForm(req, res, 'Too many failed attempts; try again later');
+  }
+  
+  const user = await checkCredentials(username, formField(req.body, 'password'));
+  if (!user) {
+    noteLoginFailure(failureKey);
+    // The username is whatever was typed; quote and shorten it
+    logSync(`Failed sign-in as ${JSON.stringify(username.slice(0, USERNAME_MAX_LOGGED))} from ${req.ip}`, 'warning');
+    return renderLoginForm(req, res, 'Wrong username or password');
+  }
+  loginFailures.delete(failureKey);
+  res.clearCookie(LOGIN_CSRF_COOKIE);
+  startSession(req, res, user);
+  logSync(`${user.username} signed in`, 'info');
+  res.redirect('/');
+});
+
+app.post('/logout', (req, res) => {
+  sessions.delete(req.session.id);
+  res.clearCookie(SESSION_COOKIE);
+  res.redirect('/login');
+});
+
+app.post('/account/password', async (req, res) => {
+  const newPassword = formField(req.body, 'newPassword');
+  const problem = checkPassword(newPassword);
+  if (!(await checkCredentials(req.user.username, formField(req.body, 'currentPassword')))) {
+    logSync(`Password of ${req.user.username} not changed: the current password is wrong`, 'error');
+  } else if (problem) {
+    logSync(`Password of ${req.user.username} not changed: ${problem}`, 'error');
+  } else {
+    Object.assign(req.user, await hashPassword(newPassword));
+    // Other sessions of this user are signed out; this one stays
+    sessions.forEach((session, id) => {
+      if (session.username === req.user.username && id !== req.session.id) sessions.delete(id);
+    });
+    logSync(`${req.user.username} changed their password`, 'success');
+    await persistState();
+  }
+  res.redirect('/');
+});
+
+// Adds a user, or changes an existing one's role (and password if given)
+app.post('/users', async (req, res) => {
+  const username = formField(req.body, 'username').trim();
+  const password = formField(req.body, 'password');
+  const role = USER_ROLES.includes(req.body.role) ? req.body.role : 'viewer';
+  const existing = findUser(username);
+  const isLastAdmin = existing?.role === 'admin' && config.users.filter(user => user.role === 'admin').length === 1;
+  let problem = null;
+  if (!USERNAME_PATTERN.test(username)) {
+    problem = 'use up to 64 letters, digits, dots, dashes or @';
+  } else if (!existing || password) {
+    problem = checkPassword(password);
+  }
+  if (!problem && isLastAdmin && role !== 'admin') problem = 'it is the last admin';
+  if (problem) {
+    logSync(`User "${username}" not saved: ${problem}`, 'error');
+    return res.redirect('/');
+  }
+  
+  const user = existing || { username };
+  user.role = role;
+  if (password) Object.assign(user, await hashPassword(password));
+  if (!existing) config.users.push(user);
+  // Changed credentials or a changed role take effect with a fresh sign-in
+  if (existing) endSessions(username);
+  logSync(`${existing ? 'Updated' : 'Added'} user ${username} (${role}) by ${req.user.username}`, 'success');
+  await persistState();
+  res.redirect('/');
+});
+
+app.post('/users/delete', async (req, res) => {
+  const username = formField(req.body, 'username');
+  if (findUser(username) && username !== req.user.username) {
+    config.users = config.users.filter(user => user.username !== username);
+    endSessions(username);
+    logSync(`Removed user ${username} by ${req.user.username}`, 'warning');
+    await persistState();
+  }
+  res.redirect('/');
+});
+
+app.post('/secrets/rotate', async (req, res) => {
+  const name = formField(req.body, 'name');
+  const token = formField(req.body, 'token').trim();
+  if (!isSecretName(name) || !token) return rejectRequest(req, res, 400, 'Expected a token name and a new token');
+  const { rotated, report } = await rotateSecret(name, token, req.user.username);
+  respondWithValidation(req, res, 'secrets', report, rotated);
+});
+
+// Settings that can be checked without saving them, see validateConfiguration
+const VALIDATED_SETTINGS = {
+  hubspotToken: value => typeof value === 'string',
+  mondayToken: value => typeof value === 'string',
+  mondayBoardId: value => typeof value === 'string' || typeof value === 'number',
+  fieldMapping: value => value && typeof value === 'object' && Object.keys(value).every(field => BUILT_IN_FIELDS[field] && field !== 'title'),
+  customMappings: value => Array.isArray(value) && value.every(row => row && typeof row.hubspotProperty === 'string' && typeof row.mondayColumn === 'string'),
+  attachmentSync: value => value && typeof value === 'object' && typeof (value.mondayColumn ?? '') === 'string'
+};
+
+app.get('/config/validate', async (req, res) => {
+  res.json(await validateConfiguration());
+});
+
+// Checks the saved settings, with any of VALIDATED_SETTINGS in the body
+// taking the place of the saved values; nothing is saved
+app.post('/config/validate', async (req, res) => {
+  const candidate = {};
+  const invalid = [];
+  Object.entries(VALIDATED_SETTINGS).forEach(([key, isValid]) => {
+    const value = req.body[key];
+    if (value === undefined || value === '') return;
+    if (isValid(value)) candidate[key] = typeof value === 'string' ? value.trim() : value;
+    else invalid.push(key);
+  });
+  if (invalid.length > 0) return rejectRequest(req, res, 400, `Malformed settings: ${invalid.join(', ')}`);
+  
+  const report = await validateConfiguration(candidate);
+  if (req.accepts(['html', 'json']) === 'json') return res.json(report);
+  req.session.validation = { form: 'secrets', report };
+  res.redirect('/');
+});
+
+// Settings a new profile can start from; bookkeeping (log, cursors, dead
+// letters, ...) and the pipeline and group always start fresh
+const COPIED_PROFILE_KEYS = ['mondayBoardId', 'schedule', 'fieldRules', 'fieldMapping', 'conflictPolicy', 'deletion', 'attachmentSync', 'recordFilters', 'customMappings', 'valueMaps'];
+const PROFILE_NAME_PATTERN = /^[\w .-]{1,40}$/;
+
+app.post('/profiles', async (req, res) => {
+  const name = formField(req.body, 'name').trim();
+  // `in` also catches names like "__proto__" that plain objects already have
+  if (!PROFILE_NAME_PATTERN.test(name) || name in config.profiles) {
+    const problem = !PROFILE_NAME_PATTERN.test(name) ? 'use up to 40 letters, digits, spaces, dots or dashes' : isProfileName(name) ? 'the name is taken' : 'the name is reserved';
+    logSync(`Profile "${name}" not added: ${problem}`, 'error');
+    return res.redirect('/');
+  }
+  
+  const profile = createProfile(name);
+  if (req.body.copySettings === 'on') {
+    COPIED_PROFILE_KEYS.forEach(key => {
+      profile[key] = structuredClone(config[key]);
+    });
+  }
+  const source = currentProfile().name;
+  config.profiles[name] = profile;
+  req.session.profile = name;
+  runInProfile(name, () => logSync(`Profile added${req.body.copySettings === 'on' ? ` with the settings of "${source}"` : ''}`, 'success'));
+  scheduleProfileSyncs();
+  await persistState();
+  res.redirect('/');
+});
+
+// Only changes what this session shows; see /profiles/default for everyone's
+app.post('/profiles/select', (req, res) => {
+  if (isProfileName(req.body.name)) req.session.profile = req.body.name;
+  res.redirect('/');
+});
+
+app.post('/profiles/default', async (req, res) => {
+  const name = req.body.name;
+  if (isProfileName(name) && name !== config.activeProfile) {
+    config.activeProfile = name;
+    runInProfile(name, () => logSync(`Profile "${name}" is now the default, set by ${req.user.username}`, 'info'));
+    await persistState();
+  }
+  res.redirect('/');
+});
+
+app.post('/profiles/settings', async (req, res) => {
+  const { saved, report } = await updateProfileSettings({
+    hubspotPipeline: formField(req.body, 'hubspotPipeline'),
+    mondayBoardId: formField(req.body, 'mondayBoardId'),
+    mondayGroup: formField(req.body, 'mondayGroup'),
+    schedule: { incremental: formField(req.body, 'incremental'), full: formField(req.body, 'full') }
+  });
+  if (!report) return res.redirect('/');
+  respondWithValidation(req, res, 'profile', report, saved);
+});
+
+// Pairs linked in the deleted profile are unlinked, or moved to the profile
+// named by moveLinksTo; left as they were, no profile would sync them again
+app.post('/profiles/delete', async (req, res) => {
+  const name = req.body.name;
+  const target = req.body.moveLinksTo || null;
+  if (!isProfileName(name) || Object.keys(config.profiles).length === 1) return res.redirect('/');
+  if (target && (target === name || !isProfileName(target))) {
+    logSync(`Profile "${name}" not deleted: there is no other profile named "${target}" to move its pairs to`, 'error');
+    return res.redirect('/');
+  }
+  
+  const ticketIds = [...linkProfiles].filter(([, owner]) => owner === name).map(([ticketId]) => ticketId);
+  ticketIds.forEach(ticketId => {
+    if (target) linkProfiles.set(ticketId, target);
+    else unlinkRecords(ticketId, getLinkedItemId(ticketId));
+  });
+  delete config.profiles[name];
+  if (config.activeProfile === name) config.activeProfile = Object.keys(config.profiles)[0];
+  // Logged where it can still be read, not in the deleted profile's log
+  runInProfile(target || config.activeProfile, () => {
+    logSync(`Profile "${name}" deleted; its ${ticketIds.length} linked pair(s) were ${target ? `moved to "${target}"` : 'unlinked'}`, 'warning');
+  });
+  scheduleProfileSyncs();
+  await persistState();
+  res.redirect('/');
+});
+
+app.post('/rules', async (req, res) => {
+  await updateFieldRules({
+    fieldRules: {
+      title: req.body.title || 'hubspot',
+      description: req.body.description || 'hubspot',
+      status: req.body.status || 'monday',
+      priority: req.body.priority || 'monday',
+      assignee: req.body.assignee || 'both'
+    },
+    conflictPolicy: CONFLICT_POLICIES.includes(req.body.conflictPolicy) ? req.body.conflictPolicy : 'newest',
+    conversationSync: req.body.conversationSync === 'on'
+  });
+  res.redirect('/');
+});
+
+app.post('/deletion-policy', async (req, res) => {
+  const pickAction = value => (DELETION_ACTIONS.includes(value) ? value : 'ignore');
+  const graceMinutes = Number(req.body.graceMinutes);
+  config.deletion = {
+    hubspotToMonday: pickAction(req.body.hubspotToMonday),
+    mondayToHubspot: pickAction(req.body.mondayToHubspot),
+    graceMinutes: Number.isFinite(graceMinutes) && graceMinutes >= 0 ? graceMinutes : 60,
+    closedStage: (req.body.closedStage || '').trim() || '4'
+  };
+  logSync(`Deletion handling updated: HubSpot → Monday=${config.deletion.hubspotToMonday}, Monday → HubSpot=${config.deletion.mondayToHubspot}, grace ${config.deletion.graceMinutes} min`, 'success');
+  await persistState();
+  res.redirect('/');
+});
+
+app.post('/record-filters', async (req, res) => {
+  config.recordFilters = {
+    hubspot: parseFilterRules(req.body.hubspot, 'property'),
+    monday: parseFilterRules(req.body.monday, 'column'),
+    onMismatch: FILTER_MISMATCH_ACTIONS.includes(req.body.onMismatch) ? req.body.onMismatch : 'leave'
+  };
+  const describeRules = (rules, key) => rules.map(rule => `${rule[key]} in [${rule.values.join(', ')}]`).join(' and ') || 'everything';
+  logSync(`Record filters updated: HubSpot=${describeRules(config.recordFilters.hubspot, 'property')}, Monday=${describeRules(config.recordFilters.monday, 'column')}, on mismatch=${config.recordFilters.onMismatch}`, 'success');
+  await persistState();
+  // Unchanged records only get re-checked by a full sync
+  if (config.syncEnabled) enqueueSyncJob('full', { trigger: 'filters' });
+  res.redirect('/');
 });
 
-app.post('/config', (req, res) => {
-  config.hubspotToken = req.body.hubspotToken;
-  config.mondayToken = req.body.mondayToken;
-  config.mondayBoardId = req.body.mondayBoardId;
-  logSync('Configuration updated', 'info');
+app.post('/conflicts/clear', async (req, res) => {
+  config.conflicts = [];
+  logSync('Conflict history cleared', 'info');
+  await persistState();
   res.redirect('/');
 });
 
-app.post('/rules', (req, res) => {
-  config.fieldRules.title = req.body.title || 'hubspot';
-  config.fieldRules.description = req.body.description || 'hubspot';
-  config.fieldRules.status = req.body.status || 'monday';
-  config.fieldRules.priority = req.body.priority || 'monday';
-  config.fieldRules.assignee = req.body.assignee || 'both';
-  logSync(`Field rules updated: Title=${config.fieldRules.title}, Description=${config.fieldRules.description}, Status=${config.fieldRules.status}, Priority=${config.fieldRules.priority}, Assignee=${config.fieldRules.assignee}`, 'success');
+// Forms are redirected back to the dashboard; API clients asking for JSON
+// get a JSON answer instead
+function respondToAction(req, res, body) {
+  if (req.accepts(['html', 'json']) === 'json') return res.json(body);
   res.redirect('/');
+}
+
+// The dead letter named by req.body.key, or all of them if no key is given
+function selectFormDeadLetters(req) {
+  const key = req.body && req.body.key;
+  return selectDeadLetters(key ? [key] : undefined);
+}
+
+app.get('/dead-letters', (req, res) => {
+  res.json(describeDeadLetters());
+});
+
+app.post('/dead-letters/retry', (req, res) => {
+  const entries = selectFormDeadLetters(req);
+  retryDeadLetters(entries);
+  respondToAction(req, res, { queued: entries.map(entry => entry.key) });
+});
+
+app.post('/dead-letters/discard', async (req, res) => {
+  const keys = await discardDeadLetters(selectFormDeadLetters(req));
+  respondToAction(req, res, { discarded: keys });
+});
+
+app.get('/preview', async (req, res) => {
+  const direction = req.query.direction || 'both';
+  if (!PREVIEW_DIRECTIONS.includes(direction)) {
+    return res.status(400).json(apiErrorBody(400, `direction must be one of: ${PREVIEW_DIRECTIONS.join(', ')}`));
+  }
+  
+  try {
+    res.json(await queuePreview(direction, 'dashboard'));
+  } catch (error) {
+    res.status(502).json(apiErrorBody(502, error.message));
+  }
 });
 
 app.get('/discover-fields', async (req, res) => {
@@ -897,90 +5591,1126 @@ app.get('/discover-fields', async (req, res) => {
     ]);
     
     res.json({
-      success: true,
       hubspot: hubspotProps,
       monday: mondayColumns,
       currentMapping: config.fieldMapping
     });
   } catch (error) {
-    res.json({
-      success: false,
-      error: error.message
-    });
+    res.status(502).json(apiErrorBody(502, error.message));
+  }
+});
+
+app.post('/field-mapping', async (req, res) => {
+  const { saved, report } = await updateFieldMapping({
+    description: req.body.description_monday || 'text',
+    status: req.body.status_monday || 'status',
+    priority: req.body.priority_monday || 'priority',
+    assignee: req.body.assignee_monday || 'person'
+  });
+  respondWithValidation(req, res, 'field-mapping', report, saved);
+});
+
+app.post('/attachments', async (req, res) => {
+  const mondayColumn = (req.body.mondayColumn || '').trim();
+  const maxSizeMb = Number(req.body.maxSizeMb);
+  
+  const attachmentSync = {
+    mondayColumn,
+    maxSizeMb: Number.isFinite(maxSizeMb) && maxSizeMb > 0 ? maxSizeMb : 10
+  };
+  const report = await validateConfiguration({ attachmentSync });
+  const problems = findBlockingChecks(report, ['attachmentSync']);
+  if (problems.length > 0) {
+    logSync(`Attachment settings not saved: ${problems.map(check => check.message).join('; ')}`, 'error');
+    return respondWithValidation(req, res, 'attachments', report, false);
   }
+  
+  config.attachmentSync = attachmentSync;
+  logSync(mondayColumn
+    ? `Attachment copying enabled: file column ${mondayColumn}, up to ${config.attachmentSync.maxSizeMb} MB per file`
+    : 'Attachment copying disabled', 'success');
+  await persistState();
+  respondWithValidation(req, res, 'attachments', report, true);
+});
+
+app.post('/value-maps', async (req, res) => {
+  await updateValueMaps({
+    status: parseStatusMap(req.body.status),
+    priority: parseValueMap(req.body.priority)
+  });
+  res.redirect('/');
 });
 
-app.post('/field-mapping', (req, res) => {
+app.post('/value-maps/seed', async (req, res) => {
   try {
-    // Update field mapping from form
-    config.fieldMapping = {
-      description: req.body.description_monday || 'text',
-      status: req.body.status_monday || 'status',
-      priority: req.body.priority_monday || 'priority',
-      assignee: req.body.assignee_monday || 'person'
-    };
-    
-    logSync(`Field mapping updated: ${JSON.stringify(config.fieldMapping)}`, 'success');
-    res.redirect('/');
+    await seedValueMaps();
+    warnedUnmappedValues.clear();
+    await persistState();
   } catch (error) {
-    logSync(`Error updating field mapping: ${error.message}`, 'error');
-    res.redirect('/');
+    logSync(`Error seeding value maps: ${error.message}`, 'error');
   }
+  res.redirect('/');
+});
+
+app.post('/user-directory', async (req, res) => {
+  // One select per owner, named owner_<ownerId> (numeric keys would be
+  // parsed as array indexes)
+  const overrides = {};
+  Object.entries(req.body).forEach(([name, userId]) => {
+    if (name.startsWith('owner_') && userId) overrides[name.slice('owner_'.length)] = userId;
+  });
+  config.userOverrides = overrides;
+  warnedUnmappedValues.clear();
+  logSync(`User overrides updated: ${Object.keys(overrides).length} manual match(es)`, 'success');
+  await persistState();
+  res.redirect('/');
+});
+
+app.post('/user-directory/refresh', async (req, res) => {
+  await refreshUserDirectory({ force: true });
+  logSync(`User directory refreshed: ${userDirectory.owners.length} HubSpot owners, ${userDirectory.mondayUsers.length} Monday users`, 'info');
+  res.redirect('/');
+});
+
+app.post('/custom-mappings', async (req, res) => {
+  const toArray = value => (value === undefined ? [] : [].concat(value));
+  const properties = toArray(req.body.hubspotProperty);
+  const columns = toArray(req.body.mondayColumn);
+  const rules = toArray(req.body.rule);
+  const builtInProperties = Object.values(BUILT_IN_FIELDS).map(field => field.property);
+  
+  const rows = [];
+  properties.forEach((property, index) => {
+    const hubspotProperty = (property || '').trim();
+    const mondayColumn = (columns[index] || '').trim();
+    if (!hubspotProperty || !mondayColumn) return;
+    
+    if (builtInProperties.includes(hubspotProperty)) {
+      logSync(`Custom mapping for "${hubspotProperty}" ignored: it is already a built-in field`, 'error');
+      return;
+    }
+    if (rows.some(row => row.hubspotProperty === hubspotProperty)) {
+      logSync(`Custom mapping for "${hubspotProperty}" ignored: the property is already mapped`, 'error');
+      return;
+    }
+    rows.push({
+      hubspotProperty,
+      mondayColumn,
+      rule: FIELD_RULE_VALUES.includes(rules[index]) ? rules[index] : 'hubspot'
+    });
+  });
+  
+  const { saved, report } = await updateCustomMappings(rows);
+  if (!report) return res.redirect('/');
+  respondWithValidation(req, res, 'custom-mappings', report, saved);
 });
 
-app.post('/enable', (req, res) => {
-  config.syncEnabled = true;
-  logSync('Auto-sync enabled', 'success');
+app.post('/enable', async (req, res) => {
+  await setSyncEnabled(true);
   res.redirect('/');
 });
 
-app.post('/disable', (req, res) => {
-  config.syncEnabled = false;
-  logSync('Auto-sync disabled', 'info');
+app.post('/disable', async (req, res) => {
+  await setSyncEnabled(false);
   res.redirect('/');
 });
 
 app.post('/sync', async (req, res) => {
-  logSync('Manual sync triggered', 'info');
-  performFullSync();
+  logSync('Manual sync queued', 'info');
+  enqueueSyncJob('full', { trigger: 'manual' });
   res.redirect('/');
 });
 
 // HubSpot webhook endpoint
 app.post('/webhook/hubspot', async (req, res) => {
+  const rejection = verifyHubSpotSignature(req);
+  if (rejection) {
+    logSync(`Rejected HubSpot webhook from ${req.ip}: ${rejection}`, 'error');
+    return res.status(401).send('Invalid signature');
+  }
+  
   if (!config.syncEnabled) {
     return res.status(200).send('Sync disabled');
   }
   
-  logSync('HubSpot webhook received', 'info');
-  // Trigger sync from HubSpot to Monday
-  setTimeout(() => syncHubSpotToMonday(), 1000);
+  // Drop echoes of our own writes, note deletions, then sync only the
+  // tickets the remaining events are about
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+  const changes = events.filter(event => !isHubSpotEcho(event));
+  countSuppressedEcho(events.length - changes.length);
+  
+  handleHubSpotDeletionEvents(changes);
+  const ticketIds = getHubSpotEventTicketIds(changes);
+  const echoNote = changes.length < events.length ? ` (${events.length - changes.length} echo(es) of our own writes ignored)` : '';
+  logSync(`HubSpot webhook received: ${ticketIds.length ? `ticket(s) ${ticketIds.join(', ')}` : 'no synced changes'}${echoNote}`, 'info');
+  ticketIds.forEach(ticketId => scheduleRecordSync('hubspot', ticketId));
   res.status(200).send('OK');
 });
 
 // Monday.com webhook endpoint
 app.post('/webhook/monday', async (req, res) => {
+  // Monday sends a one-off challenge when a webhook is registered and only
+  // activates it once we echo it back
+  if (req.body && req.body.challenge) {
+    logSync('Monday.com webhook challenge answered', 'info');
+    return res.status(200).json({ challenge: req.body.challenge });
+  }
+  
+  const rejection = verifyMondayJwt(req);
+  if (rejection) {
+    logSync(`Rejected Monday.com webhook from ${req.ip}: ${rejection}`, 'error');
+    return res.status(401).send('Invalid signature');
+  }
+  
   if (!config.syncEnabled) {
     return res.status(200).send('Sync disabled');
   }
   
-  logSync('Monday.com webhook received', 'info');
-  // Trigger sync from Monday to HubSpot
-  setTimeout(() => syncMondayToHubSpot(), 1000);
+  // Sync only the item the event is about, unless it echoes our own write
+  const event = req.body && req.body.event;
+  if (isMondayEcho(event)) {
+    countSuppressedEcho();
+    logSync(`Monday.com webhook received: item ${event.pulseId} (${event.type}) echoes our own write, ignored`, 'info');
+    return res.status(200).send('OK');
+  }
+  
+  if (handleMondayDeletionEvent(event)) {
+    return res.status(200).send('OK');
+  }
+  
+  const itemId = getMondayEventItemId(event);
+  logSync(`Monday.com webhook received: ${itemId ? `item ${itemId} (${event.type}${event.columnId ? ` on ${event.columnId}` : ''})` : 'no synced changes'}`, 'info');
+  if (itemId) scheduleRecordSync('monday', itemId);
   res.status(200).send('OK');
 });
 
-// Schedule automatic sync every 5 minutes
-cron.schedule('*/5 * * * *', () => {
-  if (config.syncEnabled) {
-    logSync('Scheduled sync starting...', 'info');
-    performFullSync();
+// ========== REST API ==========
+
+// Versioned JSON API for scripts and automation. Every route is declared once
+// in API_ROUTES, which both registers it and describes it in the OpenAPI
+// document at /api/v1/openapi.json, so the two can't drift apart.
+//
+// Requests authenticate with a dashboard user's credentials as HTTP Basic
+// auth, or with a dashboard session (changes then need the X-CSRF-Token
+// header). Viewers can read; changes take an admin. Profile settings are read
+// and changed in ?profile=<name>, by default the default profile.
+// Every error is answered as { error: { code, message, details? } }, as are
+// the dashboard's own JSON endpoints' errors.
+const API_BASE = '/api/v1';
+const API_ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'validation_failed',
+  429: 'locked_out',
+  500: 'internal_error',
+  502: 'upstream_error'
+};
+const LOG_TYPES = ['info', 'success', 'warning', 'error'];
+const API_LINKS_MAX_LIMIT = 1000;
+
+function apiError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = API_ERROR_CODES[status];
+  if (details !== undefined) error.details = details;
+  return error;
+}
+
+function apiErrorBody(status, message, details) {
+  return {
+    error: {
+      code: API_ERROR_CODES[status],
+      message,
+      ...(details !== undefined ? { details } : {})
+    }
+  };
+}
+
+// An updater's { saved, message, report } as the API's answer: 422 with the
+// report when validation refused it, 400 when the input was wrong
+function checkSaved({ saved, message, report }) {
+  if (saved) return;
+  throw report ? apiError(422, message, report) : apiError(400, message);
+}
+
+function isWriteRequest(req) {
+  return !['GET', 'HEAD'].includes(req.method);
+}
+
+// Basic auth is never challenged (no WWW-Authenticate), so browsers don't
+// cache the credentials and send them along with cross-site requests
+async function authenticateApiRequest(req, res, next) {
+  try {
+    const authorization = req.get('Authorization') || '';
+    let user;
+    if (/^Basic /i.test(authorization)) {
+      const credentials = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+      const separator = credentials.indexOf(':');
+      const username = separator === -1 ? credentials : credentials.slice(0, separator);
+      const failureKey = loginFailureKey(req, username);
+      if (isLockedOut(failureKey)) throw apiError(429, 'Too many failed sign-ins; try again later');
+      user = separator === -1 ? null : await checkCredentials(username, credentials.slice(separator + 1));
+      if (!user) {
+        noteLoginFailure(failureKey);
+        logSync(`Failed API sign-in from ${req.ip}`, 'warning');
+        throw apiError(401, 'Wrong username or password');
+      }
+      loginFailures.delete(failureKey);
+    } else {
+      const session = getSession(req);
+      user = session && findUser(session.username);
+      if (!user) throw apiError(401, 'Sign in with a dashboard user\'s credentials as HTTP Basic auth');
+      if (isWriteRequest(req) && !safeEqual(req.get('X-CSRF-Token') || '', session.csrfToken)) {
+        throw apiError(403, 'Requests made with a dashboard session need its X-CSRF-Token header');
+      }
+      req.session = session;
+    }
+    if (isWriteRequest(req) && user.role !== 'admin') throw apiError(403, 'Only admins can change the sync');
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Runs the rest of the request in the profile named by ?profile=
+function useApiProfile(req, res, next) {
+  const name = req.query.profile || config.activeProfile;
+  if (!isProfileName(name)) return next(apiError(404, `No profile named "${name}"`));
+  runInProfile(name, next);
+}
+
+function describeApiConfig() {
+  const profile = currentProfile();
+  return {
+    syncEnabled: config.syncEnabled,
+    hubspotToken: maskSecret(config.hubspotToken),
+    mondayToken: maskSecret(config.mondayToken),
+    secretsEncrypted: Boolean(secretsKey),
+    activeProfile: config.activeProfile,
+    profile: {
+      name: profile.name,
+      hubspotPipeline: profile.hubspotPipeline,
+      mondayBoardId: profile.mondayBoardId,
+      mondayGroup: profile.mondayGroup,
+      schedule: profile.schedule
+    }
+  };
+}
+
+function describeApiFieldRules() {
+  return {
+    fieldRules: config.fieldRules,
+    conflictPolicy: config.conflictPolicy,
+    conversationSync: getConversationSettings().enabled
+  };
+}
+
+function parseApiDate(value, name) {
+  if (value === undefined) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw apiError(400, `${name} must be an ISO 8601 date`);
+  return time;
+}
+
+function parseApiInteger(value, name, { fallback, min, max }) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) throw apiError(400, `${name} must be a whole number from ${min} to ${max}`);
+  return number;
+}
+
+// The dead letters named by a { keys } body, or all of them without keys
+function selectApiDeadLetters(req) {
+  const { keys } = requireBody(req);
+  if (keys === undefined) return selectDeadLetters();
+  if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) throw apiError(400, 'keys must be an array of strings');
+  const unknown = keys.filter(key => !findDeadLetter(key));
+  if (unknown.length > 0) throw apiError(404, `No failed record ${unknown.join(', ')}`);
+  return selectDeadLetters(keys);
+}
+
+// A JSON body must be an object (or, for routes that say so, an array)
+function requireBody(req, { array = false } = {}) {
+  const body = req.body;
+  if (array ? !Array.isArray(body) : !body || typeof body !== 'object' || Array.isArray(body)) {
+    throw apiError(400, `Expected a JSON ${array ? 'array' : 'object'} body`);
+  }
+  return body;
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = name => ({ type: 'array', items: ref(name) });
+
+// Reusable OpenAPI schemas, see components.schemas in the document
+const FIELD_RULE_SCHEMA = { type: 'string', enum: FIELD_RULE_VALUES };
+const API_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: Object.values(API_ERROR_CODES) },
+          message: { type: 'string' },
+          details: { description: 'For validation_failed, the ValidationReport' }
+        }
+      }
+    }
+  },
+  ValidationReport: {
+    type: 'object',
+    properties: {
+      valid: { type: 'boolean' },
+      checkedAt: { type: 'string', format: 'date-time' },
+      checks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            setting: { type: 'string', enum: Object.keys(VALIDATED_SETTINGS) },
+            status: { type: 'string', enum: ['ok', 'warning', 'error'] },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  Schedule: {
+    type: 'object',
+    properties: {
+      incremental: { type: 'string', description: 'Cron expression for delta syncs' },
+      full: { type: 'string', description: 'Cron expression for full reconciles' }
+    }
+  },
+  ProfileSettings: {
+    type: 'object',
+    properties: {
+      hubspotPipeline: { type: 'string', description: 'Empty for every pipeline' },
+      mondayBoardId: { type: 'string' },
+      mondayGroup: { type: 'string', description: 'Empty for the whole board' },
+      schedule: { $ref: '#/components/schemas/Schedule' }
+    }
+  },
+  Config: {
+    type: 'object',
+    properties: {
+      syncEnabled: { type: 'boolean' },
+      hubspotToken: { type: 'string', description: 'Masked: only the last 4 characters' },
+      mondayToken: { type: 'string', description: 'Masked: only the last 4 characters' },
+      secretsEncrypted: { type: 'boolean', description: 'Whether tokens are saved (encrypted); false without SECRETS_KEY' },
+      activeProfile: { type: 'string' },
+      profile: {
+        allOf: [
+          { $ref: '#/components/schemas/ProfileSettings' },
+          { type: 'object', properties: { name: { type: 'string' } } }
+        ]
+      }
+    }
+  },
+  ValidationCandidate: {
+    type: 'object',
+    description: 'Values to check in place of the saved ones; nothing is saved',
+    properties: {
+      hubspotToken: { type: 'string' },
+      mondayToken: { type: 'string' },
+      mondayBoardId: { type: 'string' },
+      fieldMapping: { $ref: '#/components/schemas/FieldMapping' },
+      customMappings: { type: 'array', items: { $ref: '#/components/schemas/CustomMapping' } },
+      attachmentSync: { type: 'object', properties: { mondayColumn: { type: 'string' } } }
+    }
+  },
+  TokenChange: {
+    type: 'object',
+    required: ['token'],
+    properties: { token: { type: 'string' } }
+  },
+  FieldRules: {
+    type: 'object',
+    properties: {
+      fieldRules: {
+        type: 'object',
+        description: 'Which side owns each field',
+        properties: Object.fromEntries(Object.keys(BUILT_IN_FIELDS).map(field => [field, FIELD_RULE_SCHEMA]))
+      },
+      conflictPolicy: { type: 'string', enum: CONFLICT_POLICIES },
+      conversationSync: { type: 'boolean', description: 'Mirror ticket notes and item updates' }
+    }
+  },
+  FieldMapping: {
+    type: 'object',
+    description: 'Monday column ID per built-in field',
+    properties: Object.fromEntries(Object.keys(BUILT_IN_FIELDS).filter(field => field !== 'title').map(field => [field, { type: 'string' }]))
+  },
+  CustomMapping: {
+    type: 'object',
+    required: ['hubspotProperty', 'mondayColumn', 'rule'],
+    properties: {
+      hubspotProperty: { type: 'string' },
+      mondayColumn: { type: 'string' },
+      rule: FIELD_RULE_SCHEMA
+    }
+  },
+  ValueMaps: {
+    type: 'object',
+    description: 'HubSpot value → Monday label, per field',
+    properties: {
+      status: {
+        type: 'object',
+        description: 'Per pipeline ID: stage ID → Monday label',
+        additionalProperties: { type: 'object', additionalProperties: { type: 'string' } }
+      },
+      priority: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+  },
+  SyncRequest: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['full', 'incremental'], default: 'full' }
+    }
+  },
+  SyncJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      type: { type: 'string', enum: Object.keys(SYNC_JOB_TYPES) },
+      recordId: { type: 'string', nullable: true },
+      direction: { type: 'string', enum: PREVIEW_DIRECTIONS, nullable: true, description: 'Previews only' },
+      profile: { type: 'string', nullable: true },
+      label: { type: 'string' },
+      triggers: { type: 'array', items: { type: 'string' } },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed'] },
+      queuedAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true },
+      result: { type: 'object', nullable: true, description: 'Per direction: { fetched, created, updated, failed }, { error } or { skipped }; for previews, the Preview' },
+      error: { type: 'string', nullable: true }
+    }
+  },
+  Status: {
+    type: 'object',
+    properties: {
+      syncEnabled: { type: 'boolean' },
+      activeProfile: { type: 'string' },
+      profiles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            hubspotPipeline: { type: 'string' },
+            mondayBoardId: { type: 'string' },
+            lastSync: { type: 'string', format: 'date-time', nullable: true }
+          }
+        }
+      },
+      queue: {
+        type: 'object',
+        properties: {
+          running: { allOf: [{ $ref: '#/components/schemas/SyncJob' }], nullable: true },
+          queued: { type: 'array', items: { $ref: '#/components/schemas/SyncJob' } }
+        }
+      }
+    }
+  },
+  LogEntry: {
+    type: 'object',
+    properties: {
+      timestamp: { type: 'string', format: 'date-time' },
+      message: { type: 'string' },
+      type: { type: 'string', enum: LOG_TYPES }
+    }
+  },
+  Link: {
+    type: 'object',
+    properties: {
+      ticketId: { type: 'string' },
+      itemId: { type: 'string' },
+      profile: { type: 'string', nullable: true }
+    }
+  },
+  DeadLetter: {
+    type: 'object',
+    properties: {
+      key: { type: 'string', example: 'hubspot:123' },
+      source: { type: 'string', enum: ['hubspot', 'monday'] },
+      recordId: { type: 'string' },
+      label: { type: 'string', description: 'Ticket subject or item name' },
+      payload: { type: 'object', description: 'The record as it was read when it failed' },
+      error: { type: 'string' },
+      attempts: { type: 'integer' },
+      firstFailedAt: { type: 'string', format: 'date-time' },
+      lastFailedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  DeadLetters: {
+    type: 'object',
+    properties: {
+      maxAutomaticAttempts: { type: 'integer' },
+      deadLetters: arrayOf('DeadLetter')
+    }
+  },
+  DeadLetterSelection: {
+    type: 'object',
+    properties: {
+      keys: { type: 'array', items: { type: 'string' }, description: 'Every failed record if left out' }
+    }
+  },
+  PlanEntry: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['create', 'update', 'link', 'error', 'deletion', 'filter'] },
+      ticketId: { type: 'string', nullable: true },
+      itemId: { type: 'string', nullable: true },
+      subject: { type: 'string' },
+      values: { type: 'object', description: 'For create: the non-empty fields' },
+      changes: {
+        type: 'array',
+        items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } }
+      },
+      linkedBySubject: { type: 'boolean' },
+      note: { type: 'string' },
+      error: { type: 'string' }
+    }
+  },
+  Plan: {
+    type: 'object',
+    properties: {
+      created: { type: 'integer' },
+      updated: { type: 'integer' },
+      failed: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      records: arrayOf('PlanEntry')
+    }
+  },
+  Preview: {
+    type: 'object',
+    properties: {
+      direction: { type: 'string', enum: PREVIEW_DIRECTIONS },
+      generatedAt: { type: 'string', format: 'date-time' },
+      hubspotToMonday: ref('Plan'),
+      mondayToHubspot: ref('Plan')
+    }
+  }
+};
+
+// Each route: method and Express path, OpenAPI summary, query parameters,
+// request and response schemas, and a handler returning the response body.
+// A request body is required unless bodyRequired is false. profileScoped
+// routes take ?profile= and run in that profile.
+const API_ROUTES = [
+  {
+    method: 'get',
+    path: '/status',
+    summary: 'Whether sync is on, the profiles, and the sync queue',
+    response: ref('Status'),
+    handler: () => ({
+      syncEnabled: config.syncEnabled,
+      activeProfile: config.activeProfile,
+      profiles: Object.values(config.profiles).map(({ name, hubspotPipeline, mondayBoardId, lastSync }) => ({ name, hubspotPipeline, mondayBoardId, lastSync })),
+      queue: {
+        running: syncQueue.running && describeSyncJob(syncQueue.running),
+        queued: syncQueue.queued.map(describeSyncJob)
+      }
+    })
+  },
+  {
+    method: 'post',
+    path: '/sync/enable',
+    summary: 'Turn automatic syncing on',
+    response: ref('Status'),
+    handler: async (req, res) => {
+      await setSyncEnabled(true);
+      return findApiRoute('get', '/status').handler(req, res);
+    }
+  },
+  {
+    method: 'post',
+    path: '/sync/disable',
+    summary: 'Turn automatic syncing off',
+    response: ref('Status'),
+    handler: async (req, res) => {
+      await setSyncEnabled(false);
+      return findApiRoute('get', '/status').handler(req, res);
+    }
+  },
+  {
+    method: 'get',
+    path: '/config',
+    summary: 'Settings, with the tokens masked',
+    profileScoped: true,
+    response: ref('Config'),
+    handler: () => describeApiConfig()
+  },
+  {
+    method: 'patch',
+    path: '/config',
+    summary: 'Change the profile\'s pipeline, board, group or schedule; the board is checked first',
+    profileScoped: true,
+    body: ref('ProfileSettings'),
+    response: ref('Config'),
+    handler: async req => {
+      const { hubspotPipeline, mondayBoardId, mondayGroup, schedule } = requireBody(req);
+      checkSaved(await updateProfileSettings({ hubspotPipeline, mondayBoardId, mondayGroup, schedule }));
+      return describeApiConfig();
+    }
+  },
+  {
+    method: 'put',
+    path: '/config/tokens/:name',
+    summary: 'Rotate an API token; it is swapped in once its API accepts it',
+    parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string', enum: Object.keys(SECRETS) } }],
+    body: ref('TokenChange'),
+    response: ref('Config'),
+    handler: async req => {
+      const { token } = requireBody(req);
+      if (!isSecretName(req.params.name)) throw apiError(404, `No token named "${req.params.name}"`);
+      if (typeof token !== 'string' || !token.trim()) throw apiError(400, 'token must be a non-empty string');
+      const { rotated, report } = await rotateSecret(req.params.name, token.trim(), req.user.username);
+      if (!rotated) throw apiError(422, `The new ${SECRETS[req.params.name].label} was rejected`, report);
+      return describeApiConfig();
+    }
+  },
+  {
+    method: 'get',
+    path: '/config/validation',
+    summary: 'Check the saved tokens, scopes, board and mapped columns against the APIs',
+    profileScoped: true,
+    response: ref('ValidationReport'),
+    handler: () => validateConfiguration()
+  },
+  {
+    method: 'post',
+    path: '/config/validation',
+    summary: 'Check settings before saving them',
+    profileScoped: true,
+    body: ref('ValidationCandidate'),
+    response: ref('ValidationReport'),
+    handler: req => {
+      const body = requireBody(req);
+      const unknown = Object.keys(body).filter(key => !VALIDATED_SETTINGS[key]);
+      const malformed = Object.entries(body).filter(([key, value]) => VALIDATED_SETTINGS[key] && !VALIDATED_SETTINGS[key](value)).map(([key]) => key);
+      if (unknown.length > 0 || malformed.length > 0) throw apiError(400, `Unknown or malformed settings: ${[...unknown, ...malformed].join(', ')}`);
+      return validateConfiguration(body);
+    }
+  },
+  {
+    method: 'get',
+    path: '/field-rules',
+    summary: 'Which side owns each field, and how conflicts are resolved',
+    profileScoped: true,
+    response: ref('FieldRules'),
+    handler: () => describeApiFieldRules()
+  },
+  {
+    method: 'put',
+    path: '/field-rules',
+    summary: 'Change field rules; fields left out keep their rule',
+    profileScoped: true,
+    body: ref('FieldRules'),
+    response: ref('FieldRules'),
+    handler: async req => {
+      const { fieldRules, conflictPolicy, conversationSync } = requireBody(req);
+      if (fieldRules !== undefined && (!fieldRules || typeof fieldRules !== 'object')) throw apiError(400, 'fieldRules must be an object');
+      if (conversationSync !== undefined && typeof conversationSync !== 'boolean') throw apiError(400, 'conversationSync must be true or false');
+      checkSaved(await updateFieldRules({ fieldRules, conflictPolicy, conversationSync }));
+      return describeApiFieldRules();
+    }
+  },
+  {
+    method: 'get',
+    path: '/field-mapping',
+    summary: 'Monday column of each built-in field',
+    profileScoped: true,
+    response: ref('FieldMapping'),
+    handler: () => config.fieldMapping
+  },
+  {
+    method: 'put',
+    path: '/field-mapping',
+    summary: 'Change the field mapping; columns are checked against the board first',
+    profileScoped: true,
+    body: ref('FieldMapping'),
+    response: ref('FieldMapping'),
+    handler: async req => {
+      const changes = requireBody(req);
+      if (Object.values(changes).some(column => typeof column !== 'string' || !column)) throw apiError(400, 'Each column must be a non-empty string');
+      checkSaved(await updateFieldMapping(changes));
+      return config.fieldMapping;
+    }
+  },
+  {
+    method: 'get',
+    path: '/custom-mappings',
+    summary: 'Extra HubSpot property ↔ Monday column pairs',
+    profileScoped: true,
+    response: arrayOf('CustomMapping'),
+    handler: () => config.customMappings
+  },
+  {
+    method: 'put',
+    path: '/custom-mappings',
+    summary: 'Replace the custom mappings; columns are checked against the board first',
+    profileScoped: true,
+    body: arrayOf('CustomMapping'),
+    response: arrayOf('CustomMapping'),
+    handler: async req => {
+      const rows = requireBody(req, { array: true });
+      if (!VALIDATED_SETTINGS.customMappings(rows)) throw apiError(400, 'Each mapping needs a hubspotProperty and a mondayColumn string');
+      checkSaved(await updateCustomMappings(rows.map(row => ({
+        hubspotProperty: row.hubspotProperty.trim(),
+        mondayColumn: row.mondayColumn.trim(),
+        rule: row.rule ?? 'hubspot'
+      }))));
+      return config.customMappings;
+    }
+  },
+  {
+    method: 'get',
+    path: '/value-maps',
+    summary: 'Value translation between HubSpot values and Monday labels',
+    profileScoped: true,
+    response: ref('ValueMaps'),
+    handler: () => config.valueMaps
+  },
+  {
+    method: 'put',
+    path: '/value-maps',
+    summary: 'Replace the value translation of the fields given',
+    profileScoped: true,
+    body: ref('ValueMaps'),
+    response: ref('ValueMaps'),
+    handler: async req => {
+      const changes = requireBody(req);
+      const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+      const isLabelMap = map => isObject(map) && Object.values(map).every(label => typeof label === 'string');
+      // The status map is nested per pipeline
+      const malformed = Object.entries(changes).filter(([field, map]) => !(field === 'status' ? isObject(map) && Object.values(map).every(isLabelMap) : isLabelMap(map)));
+      if (malformed.length > 0) throw apiError(400, `${malformed.map(([field]) => field).join(', ')}: expected an object of strings (for status, one per pipeline ID)`);
+      checkSaved(await updateValueMaps(changes));
+      return config.valueMaps;
+    }
+  },
+  {
+    method: 'post',
+    path: '/syncs',
+    summary: 'Queue a full or delta sync; poll the returned job for its result',
+    profileScoped: true,
+    body: ref('SyncRequest'),
+    bodyRequired: false,
+    status: 202,
+    response: ref('SyncJob'),
+    handler: (req, res) => {
+      const { type = 'full' } = req.body || {};
+      if (!['full', 'incremental'].includes(type)) throw apiError(400, 'type must be full or incremental');
+      if (!config.syncEnabled) throw apiError(409, 'Sync is disabled; enable it first');
+      const job = queueSyncJob(type, { trigger: 'api' });
+      logSync(`${job.label} queued by ${req.user.username} via the API (job ${job.id})`, 'info');
+      res.location(`${API_BASE}/syncs/${job.id}`);
+      return describeSyncJob(job);
+    }
+  },
+  {
+    method: 'get',
+    path: '/syncs',
+    summary: 'The running job, queued jobs and recently finished jobs, newest first',
+    response: arrayOf('SyncJob'),
+    handler: () => [...syncQueue.queued.slice().reverse(), syncQueue.running, ...syncQueue.finished]
+      .filter(Boolean)
+      .map(describeSyncJob)
+  },
+  {
+    method: 'get',
+    path: '/syncs/:id',
+    summary: `One sync job; the last ${FINISHED_JOBS_KEPT} finished jobs are kept`,
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer' } }],
+    response: ref('SyncJob'),
+    handler: req => {
+      const job = findSyncJob(Number(req.params.id));
+      if (!job) throw apiError(404, `No sync job ${req.params.id}`);
+      return describeSyncJob(job);
+    }
+  },
+  {
+    method: 'get',
+    path: '/preview',
+    summary: 'What a full sync would create, update, link or delete, without doing any of it',
+    profileScoped: true,
+    parameters: [{ name: 'direction', in: 'query', schema: { type: 'string', enum: PREVIEW_DIRECTIONS, default: 'both' } }],
+    response: ref('Preview'),
+    handler: async req => {
+      const direction = req.query.direction || 'both';
+      if (!PREVIEW_DIRECTIONS.includes(direction)) throw apiError(400, `direction must be one of: ${PREVIEW_DIRECTIONS.join(', ')}`);
+      try {
+        return await queuePreview(direction, 'api');
+      } catch (error) {
+        throw apiError(502, error.message);
+      }
+    }
+  },
+  {
+    method: 'get',
+    path: '/dead-letters',
+    summary: 'Records that failed to sync, with the error and the record as it was read',
+    profileScoped: true,
+    response: ref('DeadLetters'),
+    handler: () => describeDeadLetters()
+  },
+  {
+    method: 'get',
+    path: '/dead-letters/:key',
+    summary: 'One failed record',
+    profileScoped: true,
+    parameters: [{ name: 'key', in: 'path', required: true, schema: { type: 'string', example: 'hubspot:123' } }],
+    response: ref('DeadLetter'),
+    handler: req => {
+      const entry = findDeadLetter(req.params.key);
+      if (!entry) throw apiError(404, `No failed record ${req.params.key}`);
+      return entry;
+    }
+  },
+  {
+    method: 'post',
+    path: '/dead-letters/retry',
+    summary: 'Queue a retry of failed records, however many automatic attempts they have left; poll the returned jobs',
+    profileScoped: true,
+    body: ref('DeadLetterSelection'),
+    status: 202,
+    response: arrayOf('SyncJob'),
+    handler: req => {
+      const entries = selectApiDeadLetters(req);
+      if (!config.syncEnabled) throw apiError(409, 'Sync is disabled; enable it first');
+      return retryDeadLetters(entries).map(describeSyncJob);
+    }
+  },
+  {
+    method: 'post',
+    path: '/dead-letters/discard',
+    summary: 'Drop failed records without retrying them',
+    profileScoped: true,
+    body: ref('DeadLetterSelection'),
+    response: { type: 'object', properties: { discarded: { type: 'array', items: { type: 'string' } } } },
+    handler: async req => ({ discarded: await discardDeadLetters(selectApiDeadLetters(req)) })
+  },
+  {
+    method: 'get',
+    path: '/log',
+    summary: 'The profile\'s sync log, newest first',
+    profileScoped: true,
+    parameters: [
+      { name: 'type', in: 'query', description: 'Comma separated entry types', schema: { type: 'string', example: 'warning,error' } },
+      { name: 'since', in: 'query', schema: { type: 'string', format: 'date-time' } },
+      { name: 'until', in: 'query', schema: { type: 'string', format: 'date-time' } },
+      { name: 'search', in: 'query', description: 'Text the message contains (case-insensitive)', schema: { type: 'string' } },
+      { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 50, default: 50 } }
+    ],
+    response: arrayOf('LogEntry'),
+    handler: req => {
+      const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : LOG_TYPES;
+      const unknown = types.filter(type => !LOG_TYPES.includes(type));
+      if (unknown.length > 0) throw apiError(400, `type must be one of ${LOG_TYPES.join(', ')}`);
+      const since = parseApiDate(req.query.since, 'since');
+      const until = parseApiDate(req.query.until, 'until');
+      const search = String(req.query.search || '').toLowerCase();
+      const limit = parseApiInteger(req.query.limit, 'limit', { fallback: 50, min: 1, max: 50 });
+      return config.syncLog.filter(entry => {
+        const time = Date.parse(entry.timestamp);
+        return types.includes(entry.type) &&
+          (since === null || time >= since) &&
+          (until === null || time <= until) &&
+          (!search || entry.message.toLowerCase().includes(search));
+      }).slice(0, limit);
+    }
+  },
+  {
+    method: 'get',
+    path: '/links',
+    summary: 'Linked ticket ↔ item pairs, across all profiles unless filtered',
+    parameters: [
+      { name: 'ticketId', in: 'query', schema: { type: 'string' } },
+      { name: 'itemId', in: 'query', schema: { type: 'string' } },
+      { name: 'profile', in: 'query', description: 'Only pairs linked in this profile', schema: { type: 'string' } },
+      { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+      { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: API_LINKS_MAX_LIMIT, default: 100 } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        offset: { type: 'integer' },
+        limit: { type: 'integer' },
+        links: arrayOf('Link')
+      }
+    },
+    handler: req => {
+      const { ticketId, itemId, profile } = req.query;
+      const offset = parseApiInteger(req.query.offset, 'offset', { fallback: 0, min: 0, max: Number.MAX_SAFE_INTEGER });
+      const limit = parseApiInteger(req.query.limit, 'limit', { fallback: 100, min: 1, max: API_LINKS_MAX_LIMIT });
+      const links = Array.from(ticketToItem, ([linkedTicketId, linkedItemId]) => ({
+        ticketId: linkedTicketId,
+        itemId: linkedItemId,
+        profile: linkProfiles.get(linkedTicketId) || null
+      })).filter(link => (!ticketId || link.ticketId === String(ticketId)) &&
+        (!itemId || link.itemId === String(itemId)) &&
+        (!profile || link.profile === profile));
+      return { total: links.length, offset, limit, links: links.slice(offset, offset + limit) };
+    }
   }
+];
+
+function findApiRoute(method, path) {
+  return API_ROUTES.find(route => route.method === method && route.path === path);
+}
+
+// The OpenAPI 3.0 description of API_ROUTES
+function buildOpenApiDocument() {
+  const paths = {};
+  API_ROUTES.forEach(route => {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    const parameters = [...(route.parameters || [])];
+    if (route.profileScoped) {
+      parameters.push({ name: 'profile', in: 'query', description: 'Sync profile; the default profile if left out', schema: { type: 'string' } });
+    }
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      summary: route.summary,
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(route.body ? { requestBody: { required: route.bodyRequired !== false, content: { 'application/json': { schema: route.body } } } } : {}),
+      responses: {
+        [route.status || 200]: { description: 'OK', content: { 'application/json': { schema: route.response } } },
+        default: { description: 'Error', content: { 'application/json': { schema: ref('Error') } } }
+      }
+    };
+  });
+  
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'HubSpot ↔ Monday.com Sync API',
+      version: '1',
+      description: 'Viewers can read; changes take an admin. Sign in with a dashboard user as HTTP Basic auth.'
+    },
+    servers: [{ url: API_BASE }],
+    security: [{ basicAuth: [] }],
+    paths: {
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: { 200: { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } } }
+        }
+      },
+      ...paths
+    },
+    components: {
+      securitySchemes: { basicAuth: { type: 'http', scheme: 'basic' } },
+      schemas: API_SCHEMAS
+    }
+  };
+}
+
+const api = express.Router();
+api.use(authenticateApiRequest);
+api.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+API_ROUTES.forEach(route => {
+  const handlers = route.profileScoped ? [useApiProfile] : [];
+  api[route.method](route.path, ...handlers, (req, res, next) => {
+    Promise.resolve()
+      .then(() => route.handler(req, res))
+      .then(body => res.status(route.status || 200).json(body))
+      .catch(next);
+  });
+});
+api.use((req, res, next) => {
+  next(apiError(404, `No route ${req.method} ${API_BASE}${req.path}`));
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Dashboard: http://localhost:${PORT}`);
-  logSync('Server started successfully', 'success');
+app.use(API_BASE, api);
+// Also answers body parser errors for API requests
+app.use(API_BASE, (error, req, res, next) => {
+  let status = API_ERROR_CODES[error.status] ? error.status : 500;
+  if (error.type === 'entity.parse.failed') status = 400;
+  if (status === 500) console.error(`[ERROR] API ${req.method} ${req.originalUrl}: ${error.stack || error.message}`);
+  res.status(status).json(apiErrorBody(status, status === 500 ? 'Internal error' : error.message, error.details));
+});
+
+// Errors from dashboard routes, and body parser errors outside the API
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+  if (status === 500) console.error(`[ERROR] ${req.method} ${req.originalUrl}: ${error.stack || error.message}`);
+  rejectRequest(req, res, status, status === 500 ? 'Something went wrong; see the server log' : error.message);
 });
+
+// Each profile runs on its own schedule (by default a delta sync every 5
+// minutes and a full reconcile hourly). Tasks are rebuilt whenever profiles
+// or schedules change.
+const scheduledTasks = [];
+
+function scheduleProfileSyncs() {
+  scheduledTasks.splice(0).forEach(task => task.stop());
+  Object.values(config.profiles).forEach(profile => {
+    [['incremental', 'Scheduled delta sync queued'], ['full', 'Scheduled full reconcile queued']].forEach(([type, message]) => {
+      const expression = profile.schedule[type];
+      if (!cron.validate(expression)) {
+        runInProfile(profile.name, () => logSync(`Invalid ${type} schedule "${expression}"; not scheduled`, 'error'));
+        return;
+      }
+      scheduledTasks.push(cron.schedule(expression, () => {
+        if (!config.syncEnabled || !config.profiles[profile.name]) return;
+        runInProfile(profile.name, () => {
+          logSync(message, 'info');
+          enqueueSyncJob(type, { trigger: 'schedule' });
+        });
+      }));
+    });
+  });
+}
+
+const PORT = process.env.PORT || 3000;
+
+function startServer() {
+  return loadState()
+    .then(ensureAdminUser)
+    .then(() => {
+      scheduleProfileSyncs();
+      app.listen(PORT, () => {
+        console.log(`🚀 Server running on port ${PORT}`);
+        console.log(`📊 Dashboard: http://localhost:${PORT}`);
+        logSync('Server started successfully', 'success');
+        if (!secretsKey) logSync('SECRETS_KEY is not set: API tokens changed on the dashboard are not saved', 'warning');
+      });
+    })
+    .catch(error => {
+      // Starting with defaults would overwrite the saved state on the first save
+      console.error(`[ERROR] Failed to load saved state (${storage.name}): ${error.message}`);
+      process.exit(1);
+    });
+}
+
+// `npm start` runs the server; the tests require this file for its functions
+if (require.main === module) startServer();
+
+module.exports = {
+  app,
+  config,
+  startServer,
+  verifyHubSpotSignature,
+  verifyMondayJwt,
+  encodeColumnValue,
+  decodeColumnValue,
+  pickConflictWinner,
+  rememberWrite,
+  rememberMondayWrite,
+  isEcho,
+  matchesHubSpotFilters,
+  matchesMondayFilters,
+  buildHubSpotSearchFilters,
+  buildMondayQueryParams
+};
@@ -0,0 +1,88 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { config, encodeColumnValue, decodeColumnValue } = require('../server');
+
+beforeEach(() => {
+  config.mondayColumns = [
+    { id: 'text', title: 'Description', type: 'text' },
+    { id: 'notes', title: 'Notes', type: 'long_text' },
+    { id: 'status', title: 'Status', type: 'color' },
+    { id: 'tags', title: 'Tags', type: 'dropdown' },
+    { id: 'due', title: 'Due', type: 'date' },
+    { id: 'hours', title: 'Hours', type: 'numbers' },
+    { id: 'person', title: 'Owner', type: 'multiple-person' },
+    { id: 'done', title: 'Done', type: 'checkbox' }
+  ];
+  config.hubspotProperties = [
+    { name: 'due_at', type: 'datetime', options: [] },
+    { name: 'due_on', type: 'date', options: [] }
+  ];
+});
+
+// A column value as the Monday API returns it
+const columnValue = (id, value, text = '') => ({ id, value: value === null ? null : JSON.stringify(value), text });
+
+test('encodes values in the shape each column type expects', () => {
+  assert.strictEqual(encodeColumnValue('text', 'Printer on fire', 'content'), 'Printer on fire');
+  assert.deepStrictEqual(encodeColumnValue('notes', 'Line', 'content'), { text: 'Line' });
+  assert.deepStrictEqual(encodeColumnValue('status', 'Working on it', 'hs_pipeline_stage'), { label: 'Working on it' });
+  assert.deepStrictEqual(encodeColumnValue('tags', 'a; b;', 'tags'), { labels: ['a', 'b'] });
+  assert.strictEqual(encodeColumnValue('hours', '1.50', 'hours'), '1.5');
+  assert.deepStrictEqual(encodeColumnValue('person', '12, 34', 'hubspot_owner_id'), {
+    personsAndTeams: [{ id: 12, kind: 'person' }, { id: 34, kind: 'person' }]
+  });
+  assert.deepStrictEqual(encodeColumnValue('done', 'true', 'done'), { checked: 'true' });
+  assert.strictEqual(encodeColumnValue('done', 'false', 'done'), null);
+});
+
+test('encodes dates with a time only for datetime properties', () => {
+  const timestamp = String(Date.UTC(2024, 4, 17, 9, 30));
+  assert.deepStrictEqual(encodeColumnValue('due', timestamp, 'due_at'), { date: '2024-05-17', time: '09:30:00' });
+  assert.deepStrictEqual(encodeColumnValue('due', '2024-05-17', 'due_on'), { date: '2024-05-17' });
+});
+
+test('clears text columns with an empty string and others with null', () => {
+  assert.strictEqual(encodeColumnValue('text', null, 'content'), '');
+  assert.strictEqual(encodeColumnValue('status', '', 'hs_pipeline_stage'), null);
+  assert.strictEqual(encodeColumnValue('due', undefined, 'due_on'), null);
+});
+
+test('passes unknown columns the raw string', () => {
+  assert.strictEqual(encodeColumnValue('missing', 42, 'content'), '42');
+  assert.strictEqual(encodeColumnValue('missing', null, 'content'), '');
+});
+
+test('names the property and column when a value cannot be encoded', () => {
+  assert.throws(() => encodeColumnValue('hours', 'lots', 'hours'), /HubSpot property "hours" to Monday numbers column "Hours": "lots" is not a number/);
+  assert.throws(() => encodeColumnValue('due', 'someday', 'due_on'), /"someday" is not a valid date/);
+  assert.throws(() => encodeColumnValue('person', 'jane', 'hubspot_owner_id'), /"jane" is not a Monday user ID/);
+});
+
+test('decodes column values to plain strings', () => {
+  assert.strictEqual(decodeColumnValue(columnValue('text', 'Printer on fire', 'Printer on fire')), 'Printer on fire');
+  assert.strictEqual(decodeColumnValue(columnValue('notes', { text: 'Line' }, 'Line')), 'Line');
+  assert.strictEqual(decodeColumnValue(columnValue('status', { index: 1 }, 'Done')), 'Done');
+  assert.strictEqual(decodeColumnValue(columnValue('tags', { ids: [1, 2] }, 'a, b')), 'a;b');
+  assert.strictEqual(decodeColumnValue(columnValue('due', { date: '2024-05-17', time: '09:30:00' })), '2024-05-17T09:30:00Z');
+  assert.strictEqual(decodeColumnValue(columnValue('hours', '1.5', '1.5')), '1.5');
+  assert.strictEqual(decodeColumnValue(columnValue('person', {
+    personsAndTeams: [{ id: 12, kind: 'person' }, { id: 7, kind: 'team' }]
+  })), '12');
+  assert.strictEqual(decodeColumnValue(columnValue('done', { checked: 'true' })), 'true');
+  assert.strictEqual(decodeColumnValue(columnValue('done', null)), 'false');
+});
+
+test('decodes empty and unreadable values', () => {
+  assert.strictEqual(decodeColumnValue(undefined), undefined);
+  assert.strictEqual(decodeColumnValue(columnValue('due', null)), null);
+  assert.strictEqual(decodeColumnValue({ id: 'notes', value: '{not json', text: 'fallback' }), 'fallback');
+  assert.strictEqual(decodeColumnValue({ id: 'missing', value: null, text: 'as shown' }), 'as shown');
+});
+
+test('round-trips values through encode and decode', () => {
+  [['notes', 'content', 'Line'], ['due', 'due_on', '2024-05-17'], ['person', 'hubspot_owner_id', '12,34'], ['done', 'done', 'true']]
+    .forEach(([columnId, property, value]) => {
+      const encoded = encodeColumnValue(columnId, value, property);
+      assert.strictEqual(decodeColumnValue(columnValue(columnId, encoded)), value, columnId);
+    });
+});
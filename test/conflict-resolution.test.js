@@ -0,0 +1,73 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { config, pickConflictWinner } = require('../server');
+
+const conflict = { ticketId: '101', itemId: '202', property: 'hubspot_owner_id', column: 'person' };
+
+// Answers the two history lookups: HubSpot's property history and Monday's
+// activity log (created_at in 100-nanosecond units)
+function mockHistory({ hubspotChangedAt, mondayChangedAt }) {
+  return mock.method(axios, 'request', async ({ url }) => {
+    if (url.startsWith('https://api.hubapi.com/')) {
+      const history = hubspotChangedAt ? [{ value: '1', timestamp: new Date(hubspotChangedAt).toISOString() }] : [];
+      return { status: 200, headers: {}, data: { propertiesWithHistory: { hubspot_owner_id: history } } };
+    }
+    const logs = mondayChangedAt ? [{ created_at: String(mondayChangedAt * 10000) }] : [];
+    return { status: 200, headers: {}, data: { data: { boards: [{ activity_logs: logs }] } } };
+  });
+}
+
+beforeEach(() => {
+  config.conflictPolicy = 'newest';
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('a fixed policy wins without looking at history', async () => {
+  const request = mock.method(axios, 'request');
+
+  config.conflictPolicy = 'monday';
+  assert.deepStrictEqual(await pickConflictWinner(conflict), { winner: 'monday', reason: 'policy: monday wins' });
+  config.conflictPolicy = 'hubspot';
+  assert.deepStrictEqual(await pickConflictWinner(conflict), { winner: 'hubspot', reason: 'policy: hubspot wins' });
+  assert.strictEqual(request.mock.callCount(), 0);
+});
+
+test('newest picks the side edited last', async () => {
+  mockHistory({ hubspotChangedAt: Date.UTC(2024, 0, 1), mondayChangedAt: Date.UTC(2024, 0, 2) });
+  assert.deepStrictEqual(await pickConflictWinner(conflict), {
+    winner: 'monday',
+    reason: 'Monday edit is newer (2024-01-02T00:00:00.000Z)'
+  });
+
+  mock.restoreAll();
+  mockHistory({ hubspotChangedAt: Date.UTC(2024, 0, 3), mondayChangedAt: Date.UTC(2024, 0, 2) });
+  assert.deepStrictEqual(await pickConflictWinner(conflict), {
+    winner: 'hubspot',
+    reason: 'HubSpot edit is newer (2024-01-03T00:00:00.000Z)'
+  });
+});
+
+test('newest gives HubSpot a tie', async () => {
+  const changedAt = Date.UTC(2024, 0, 1);
+  mockHistory({ hubspotChangedAt: changedAt, mondayChangedAt: changedAt });
+  assert.strictEqual((await pickConflictWinner(conflict)).winner, 'hubspot');
+});
+
+test('newest falls back to HubSpot when a side has no history', async () => {
+  mockHistory({ hubspotChangedAt: Date.UTC(2024, 0, 1), mondayChangedAt: null });
+  assert.deepStrictEqual(await pickConflictWinner(conflict), {
+    winner: 'hubspot',
+    reason: 'modification times unavailable; HubSpot wins'
+  });
+});
+
+test('newest reads the mapped column, or the name for the title', async () => {
+  const request = mockHistory({ hubspotChangedAt: Date.UTC(2024, 0, 1), mondayChangedAt: Date.UTC(2024, 0, 2) });
+  await pickConflictWinner({ ticketId: '101', itemId: '202', property: 'subject', column: null });
+  const mondayCall = request.mock.calls.find(call => call.arguments[0].url === 'https://api.monday.com/v2');
+  assert.strictEqual(mondayCall.arguments[0].data.variables.columnId, 'name');
+});
@@ -0,0 +1,63 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { rememberWrite, rememberMondayWrite, isEcho } = require('../server');
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('an event reporting the value we wrote is an echo', () => {
+  rememberWrite('hubspot', '1', { hs_ticket_priority: 'HIGH' });
+  assert.strictEqual(isEcho('hubspot', '1', 'hs_ticket_priority', 'HIGH'), true);
+});
+
+test('a different value, field or record is not', () => {
+  rememberWrite('hubspot', '2', { hs_ticket_priority: 'HIGH' });
+  assert.strictEqual(isEcho('hubspot', '2', 'hs_ticket_priority', 'LOW'), false);
+  assert.strictEqual(isEcho('hubspot', '2', 'subject', 'HIGH'), false);
+  assert.strictEqual(isEcho('hubspot', '3', 'hs_ticket_priority', 'HIGH'), false);
+  assert.strictEqual(isEcho('monday', '2', 'hs_ticket_priority', 'HIGH'), false);
+});
+
+test('creation events are echoes only for records we created', () => {
+  rememberWrite('monday', '10', { status: 'Done' }, { created: true });
+  rememberWrite('monday', '11', { status: 'Done' });
+  assert.strictEqual(isEcho('monday', '10', null), true);
+  assert.strictEqual(isEcho('monday', '11', null), false);
+  // Updating a record we created doesn't forget that we created it
+  rememberWrite('monday', '10', { status: 'Stuck' });
+  assert.strictEqual(isEcho('monday', '10', null), true);
+});
+
+test('Monday writes match events however the value is shaped', () => {
+  rememberMondayWrite('20', {
+    status: { label: 'Working on it' },
+    tags: { labels: ['a', 'b'] },
+    person: { personsAndTeams: [{ id: 12, kind: 'person' }] },
+    due: { date: '2024-05-17' },
+    text: 'Hello'
+  });
+  assert.strictEqual(isEcho('monday', '20', 'status', 'Working on it'), true);
+  assert.strictEqual(isEcho('monday', '20', 'tags', 'a;b'), true);
+  assert.strictEqual(isEcho('monday', '20', 'person', '12'), true);
+  assert.strictEqual(isEcho('monday', '20', 'due', '2024-05-17'), true);
+  assert.strictEqual(isEcho('monday', '20', 'text', 'Hello'), true);
+});
+
+test('an event that happened before our write is not an echo', () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1, 12) });
+  rememberWrite('hubspot', '30', { subject: 'New' });
+  const now = Date.now();
+  assert.strictEqual(isEcho('hubspot', '30', 'subject', 'New', now - 60 * 1000), false);
+  // Within the allowance for clock skew
+  assert.strictEqual(isEcho('hubspot', '30', 'subject', 'New', now - 2000), true);
+});
+
+test('writes are forgotten after the echo window', () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.UTC(2024, 0, 1, 12) });
+  rememberWrite('hubspot', '40', { subject: 'New' });
+  mock.timers.tick(60 * 1000);
+  assert.strictEqual(isEcho('hubspot', '40', 'subject', 'New'), true);
+  mock.timers.tick(2 * 60 * 1000);
+  assert.strictEqual(isEcho('hubspot', '40', 'subject', 'New'), false);
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  config,
+  matchesHubSpotFilters,
+  matchesMondayFilters,
+  buildHubSpotSearchFilters,
+  buildMondayQueryParams
+} = require('../server');
+
+beforeEach(() => {
+  config.hubspotPipeline = '';
+  config.mondayGroup = '';
+  config.mondayBoardId = '42';
+  config.recordFilters = { hubspot: [], monday: [], onMismatch: 'leave' };
+  config.hubspotProperties = [
+    { name: 'hs_ticket_priority', type: 'enumeration', options: [{ value: 'HIGH', label: 'High' }, { value: 'LOW', label: 'Low' }] },
+    { name: 'source_type', type: 'string', options: [] }
+  ];
+  config.mondayColumns = [
+    { id: 'status', title: 'Status', type: 'status', settings: JSON.stringify({ labels: { 0: 'Working on it', 1: 'Escalated' } }) },
+    { id: 'text', title: 'Notes', type: 'text', settings: '{}' }
+  ];
+});
+
+const ticket = properties => ({ id: '1', properties });
+const item = ({ group = { id: 'topics', title: 'Support' }, status = 'Escalated', board = { id: '42' } } = {}) => ({
+  id: '2',
+  board,
+  group,
+  column_values: [{ id: 'status', text: status, value: null }]
+});
+
+test('without rules every record matches', () => {
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_ticket_priority: 'LOW' })), true);
+  assert.strictEqual(matchesMondayFilters(item()), true);
+});
+
+test('HubSpot rules match option values or labels, ignoring case', () => {
+  config.recordFilters.hubspot = [{ property: 'hs_ticket_priority', values: ['high'] }];
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_ticket_priority: 'HIGH' })), true);
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_ticket_priority: 'LOW' })), false);
+
+  config.recordFilters.hubspot = [{ property: 'hs_ticket_priority', values: ['Low'] }];
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_ticket_priority: 'LOW' })), true);
+});
+
+test('a record must match every rule on its side', () => {
+  config.recordFilters.hubspot = [
+    { property: 'hs_ticket_priority', values: ['HIGH'] },
+    { property: 'source_type', values: ['EMAIL', 'CHAT'] }
+  ];
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_ticket_priority: 'HIGH', source_type: 'chat' })), true);
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_ticket_priority: 'HIGH', source_type: 'PHONE' })), false);
+});
+
+test('the profile pipeline counts as a rule', () => {
+  config.hubspotPipeline = '0';
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_pipeline: '0' })), true);
+  assert.strictEqual(matchesHubSpotFilters(ticket({ hs_pipeline: '5' })), false);
+});
+
+test('Monday rules match groups by ID or title and columns by text', () => {
+  config.recordFilters.monday = [{ column: 'group', values: ['support'] }, { column: 'status', values: ['escalated'] }];
+  assert.strictEqual(matchesMondayFilters(item()), true);
+  assert.strictEqual(matchesMondayFilters(item({ status: 'Working on it' })), false);
+  assert.strictEqual(matchesMondayFilters(item({ group: { id: 'backlog', title: 'Backlog' } })), false);
+});
+
+test('items on another board never match', () => {
+  assert.strictEqual(matchesMondayFilters(item({ board: { id: '99' } })), false);
+});
+
+test('the HubSpot search gets the pipeline and rules on properties with options', () => {
+  config.hubspotPipeline = '0';
+  config.recordFilters.hubspot = [
+    { property: 'hs_ticket_priority', values: ['High', 'urgent'] },
+    { property: 'source_type', values: ['EMAIL'] }
+  ];
+  assert.deepStrictEqual(buildHubSpotSearchFilters(), [
+    { propertyName: 'hs_pipeline', operator: 'IN', values: ['0'] },
+    { propertyName: 'hs_ticket_priority', operator: 'IN', values: ['HIGH'] }
+  ]);
+});
+
+test('the HubSpot search stops at six filters', () => {
+  config.hubspotPipeline = '0';
+  config.recordFilters.hubspot = Array.from({ length: 7 }, () => ({ property: 'hs_ticket_priority', values: ['HIGH'] }));
+  assert.strictEqual(buildHubSpotSearchFilters().length, 6);
+});
+
+test('the Monday query gets the group and status labels by ID', async () => {
+  config.mondayGroup = 'topics';
+  config.recordFilters.monday = [{ column: 'status', values: ['Escalated'] }, { column: 'text', values: ['anything'] }];
+  assert.deepStrictEqual(await buildMondayQueryParams(), {
+    rules: [
+      { column_id: 'group', compare_value: ['topics'], operator: 'any_of' },
+      { column_id: 'status', compare_value: [1], operator: 'any_of' }
+    ],
+    operator: 'and'
+  });
+});
+
+test('no Monday query without rules it can apply', async () => {
+  config.recordFilters.monday = [{ column: 'text', values: ['anything'] }];
+  assert.strictEqual(await buildMondayQueryParams(), null);
+});
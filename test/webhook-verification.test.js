@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { verifyHubSpotSignature, verifyMondayJwt } = require('../server');
+
+process.env.HUBSPOT_CLIENT_SECRET = 'hubspot-secret';
+process.env.MONDAY_SIGNING_SECRET = 'monday-secret';
+delete process.env.PUBLIC_URL;
+
+// Just enough of an Express request for the verifiers
+function webhookRequest({ method = 'POST', originalUrl = '/webhook/hubspot', rawBody = '', headers = {} }) {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  lowerCased.host = lowerCased.host || 'sync.example.com';
+  return { method, protocol: 'https', originalUrl, rawBody, get: name => lowerCased[name.toLowerCase()] };
+}
+
+function signHubSpot(uri, body, timestamp, secret = process.env.HUBSPOT_CLIENT_SECRET) {
+  return crypto.createHmac('sha256', secret).update(`POST${uri}${body}${timestamp}`).digest('base64');
+}
+
+function hubspotRequest({ originalUrl = '/webhook/hubspot', signedUri, body = '[{"objectId":1}]', timestamp = String(Date.now()), secret } = {}) {
+  const signature = signHubSpot(signedUri || `https://sync.example.com${originalUrl}`, body, timestamp, secret);
+  return webhookRequest({
+    originalUrl,
+    rawBody: body,
+    headers: { 'X-HubSpot-Signature-v3': signature, 'X-HubSpot-Request-Timestamp': timestamp }
+  });
+}
+
+function mondayJwt(claims, { secret = process.env.MONDAY_SIGNING_SECRET, alg = 'HS256' } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg, typ: 'JWT' });
+  const payload = encode(claims);
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+test('HubSpot: accepts a request signed with the client secret', () => {
+  assert.strictEqual(verifyHubSpotSignature(hubspotRequest()), null);
+});
+
+test('HubSpot: rejects a wrong secret, a changed body and missing headers', () => {
+  assert.strictEqual(verifyHubSpotSignature(hubspotRequest({ secret: 'other-secret' })), 'signature mismatch');
+
+  const request = hubspotRequest();
+  request.rawBody = '[{"objectId":2}]';
+  assert.strictEqual(verifyHubSpotSignature(request), 'signature mismatch');
+
+  assert.strictEqual(verifyHubSpotSignature(webhookRequest({})), 'missing signature headers');
+});
+
+test('HubSpot: rejects timestamps older than five minutes', () => {
+  const request = hubspotRequest({ timestamp: String(Date.now() - 6 * 60 * 1000) });
+  assert.strictEqual(verifyHubSpotSignature(request), 'timestamp outside the allowed window');
+});
+
+test('HubSpot: signs the URI with reserved characters decoded', () => {
+  const originalUrl = '/webhook/hubspot?portal=1%3A2&note=%28a%2Cb%29';
+  const signedUri = 'https://sync.example.com/webhook/hubspot?portal=1:2&note=(a,b)';
+  assert.strictEqual(verifyHubSpotSignature(hubspotRequest({ originalUrl, signedUri })), null);
+});
+
+test('HubSpot: leaves other escapes in the URI as they are', () => {
+  const originalUrl = '/webhook/hubspot?q=a%26b%20c';
+  assert.strictEqual(verifyHubSpotSignature(hubspotRequest({ originalUrl })), null);
+});
+
+test('Monday: accepts a JWT signed with the signing secret, with or without Bearer', () => {
+  const token = mondayJwt({ exp: Math.floor(Date.now() / 1000) + 60 });
+  assert.strictEqual(verifyMondayJwt(webhookRequest({ headers: { Authorization: token } })), null);
+  assert.strictEqual(verifyMondayJwt(webhookRequest({ headers: { Authorization: `Bearer ${token}` } })), null);
+});
+
+test('Monday: rejects a wrong secret, an expired token and other algorithms', () => {
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  const verify = token => verifyMondayJwt(webhookRequest({ headers: { Authorization: token } }));
+
+  assert.strictEqual(verify(mondayJwt({ exp }, { secret: 'other-secret' })), 'signature mismatch');
+  assert.strictEqual(verify(mondayJwt({ exp: Math.floor(Date.now() / 1000) - 60 })), 'JWT expired');
+  assert.strictEqual(verify(mondayJwt({ exp }, { alg: 'none' })), 'unsupported JWT algorithm');
+});
+
+test('Monday: rejects missing and malformed tokens', () => {
+  assert.strictEqual(verifyMondayJwt(webhookRequest({})), 'missing or malformed JWT');
+  assert.strictEqual(verifyMondayJwt(webhookRequest({ headers: { Authorization: 'a.b' } })), 'missing or malformed JWT');
+  assert.strictEqual(verifyMondayJwt(webhookRequest({ headers: { Authorization: 'not.json.here' } })), 'malformed JWT');
+});